@@ -11,7 +11,12 @@ var AWS = require('aws-sdk');
 var AMA = global.AMA;
 AMA.Storage = require('./StorageClients/LocalStorage.js');
 AMA.StorageKeys = require('./StorageClients/StorageKeys.js');
+AMA.StorageAdapter = require('./StorageClients/StorageAdapter.js');
 AMA.Util = require('./MobileAnalyticsUtilities.js');
+AMA.TabCoordinator = require('./MobileAnalyticsTabCoordinator.js');
+AMA.EventEmitter = require('./MobileAnalyticsEventEmitter.js');
+AMA.Transport = require('./Transports/Transport.js');
+AMA.MobileAnalyticsTransport = require('./Transports/MobileAnalyticsTransport.js');
 /**
  * @typedef AMA.Client.Options
  * @property {string}                     appId - The Application ID from the Amazon Mobile Analytics Console
@@ -29,6 +34,11 @@ AMA.Util = require('./MobileAnalyticsUtilities.js');
  *                                                              overwritten with a different value when recording events.
  * @property {AMA.Client.Metrics}         [globalMetrics=] - Metric to be applied to every event, may be overwritten
  *                                                           with a different value when recording events.
+ * @property {Object}                     [scopedGlobalAttributes=] - Map of event type patterns (exact or with *
+ *                                                                    wildcards) to the attributes applied to the
+ *                                                                    matching events only, before globalAttributes
+ * @property {Object}                     [scopedGlobalMetrics=] - Map of event type patterns to the metrics applied to
+ *                                                                 the matching events only, before globalMetrics
  * @property {string}                     [clientId=GUID()] - A unique identifier representing this installation instance
  *                                                            of your app. This will be managed and persisted by the SDK
  *                                                            by default.
@@ -43,6 +53,70 @@ AMA.Util = require('./MobileAnalyticsUtilities.js');
  * @property {string}                     [make=] - The manufacturer of the device. For example, Samsung.
  * @property {string}                     [locale=] - The locale of the device. For example, en_US.
  * @property {AMA.Client.Logger}          [logger=] - Object of logger functions
+ * @property {AMA.StorageAdapter.Adapter} [storage=AMA.Storage] - Storage adapter used to persist events, batches and
+ *                                                                the client id, defaults to the LocalStorage adapter
+ * @property {string}                     [storagePrefix=appId] - Prefix scoping every persisted key, so clients with a
+ *                                                                different prefix sharing a storage do not see each
+ *                                                                other's events, sessions or global attributes
+ * @property {number}                     [maxQueuedEvents=] - Maximum number of events (queued and batched) kept in
+ *                                                             storage, unlimited by default
+ * @property {number}                     [maxStorageBytes=] - Maximum size in bytes of the events (queued and batched)
+ *                                                             kept in storage, unlimited by default
+ * @property {string}                     [evictionPolicy=dropOldest] - Events evicted when a limit is reached or the
+ *                                                                      storage is full: 'dropOldest', 'dropNewest' or
+ *                                                                      'priority' (lowest eventPriorities first)
+ * @property {Object}                     [eventPriorities=] - Map of event type patterns (exact or with * wildcards)
+ *                                                             to a numeric priority used by the 'priority' policy,
+ *                                                             unmatched event types have priority 0
+ * @property {boolean}                    [coordinateTabs=true] - Elect a single tab to batch and submit events, the
+ *                                                                other tabs only queue them. Requires a storage
+ *                                                                adapter with a sync method, such as AMA.LocalStorage
+ * @property {Object}                     [tabCoordinator=] - Options of the AMA.TabCoordinator electing the leader
+ * @property {number}                     [retryBaseDelay=10000] - Delay in ms before the first retry of a batch that
+ *                                                                 failed with a retryable error, doubled on every
+ *                                                                 further attempt (with jitter)
+ * @property {number}                     [retryMaxDelay=3600000] - Maximum delay in ms between two attempts, Default: 1h
+ * @property {number}                     [maxRetryAttempts=10] - Number of failed attempts after which a batch is
+ *                                                                dropped
+ * @property {number}                     [maxBatchAge=604800000] - Age in ms of the oldest event of a batch after
+ *                                                                  which a failing batch is dropped, Default: 7 days
+ * @property {number}                     [inFlightTimeout=120000] - Time in ms after which a batch whose submission
+ *                                                                   never completed (page reloaded or closed, tab no
+ *                                                                   longer leader) may be submitted again
+ * @property {Array}                      [destinations=] - Array of AMA.Client.Destination the events are delivered
+ *                                                          to, each with its own queue of batches. The events are
+ *                                                          recorded once. Defaults to a single destination using the
+ *                                                          transport and submitCallback options.
+ * @property {AMA.Client.ConnectivityProbe} [connectivity=] - Reports whether the device is online, defaults to
+ *                                                            navigator.onLine and the online / offline events of
+ *                                                            browsers, the device is considered always online without
+ *                                                            them (Node.js)
+ * @property {number}                     [beaconSizeLimit=64000] - Size in bytes of the largest batch sent with
+ *                                                                  navigator.sendBeacon, browsers refuse large beacons
+ * @property {AMA.Transport.Transport}    [transport=] - Delivers the batches, defaults to an
+ *                                                       AMA.MobileAnalyticsTransport using apiVersion and provider
+ * @property {Array}                      [middleware=] - Array of AMA.Client.Middleware run, in order, on every event
+ *                                                        before it is validated, see addMiddleware
+ * @property {string}                     [consent=granted] - Consent used until one is persisted with setConsent:
+ *                                                            'granted', 'pending' (events are queued but not
+ *                                                            submitted) or 'denied' (events are not recorded)
+ */
+
+/**
+ * @callback AMA.Client.Middleware
+ * @description Intercepts the events before they are validated and queued
+ * @param {AMA.Client.Event} event - The event, may be mutated
+ * @param {Object} context - The session the event is recorded in and the client recording it
+ * @returns {AMA.Client.Event|boolean} A replacement event, false / null to drop the event, anything else (nothing)
+ *                                     to keep the (mutated) event
+ */
+
+/**
+ * @typedef AMA.Client.ConnectivityProbe
+ * @description Source of the connectivity state, submission is paused while the device is offline
+ * @property {Function} isOnline - isOnline() returns whether the device is currently online
+ * @property {Function} subscribe - subscribe(listener) calls listener(online) every time the connectivity changes and
+ *                                  returns a function removing the listener
  */
 
 /**
@@ -60,6 +134,12 @@ AMA.Util = require('./MobileAnalyticsUtilities.js');
  * @description A collection of key-value pairs that give additional context to the event. The key-value pairs are
  *              specified by the developer.
  */
+/**
+ * @typedef AMA.Client.Identity
+ * @description The user the events are recorded for, see identify
+ * @property {string} userId - Stable id of the user across devices
+ * @property {object} traits - Attributes of the user
+ */
 /**
  * @typedef AMA.Client.Metrics
  * @type {object}
@@ -71,6 +151,7 @@ AMA.Util = require('./MobileAnalyticsUtilities.js');
  * @param {Error} err
  * @param {Null} data
  * @param {string} batchId
+ * @param {string} [destination] - Name of the destination the batch was submitted to, null for an unnamed one
  */
 /**
  * @typedef AMA.Client.Event
@@ -100,6 +181,7 @@ AMA.Client = (function () {
      * @lends AMA.Client
      */
     var Client = function (options) {
+        var consent;
         //This register the bind function for older browsers
         //https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Function/bind
         if (!Function.prototype.bind) {
@@ -135,7 +217,21 @@ AMA.Client = (function () {
         this.logger.info = this.logger.info.bind(this.options.logger);
         this.logger.warn = this.logger.warn.bind(this.options.logger);
         this.logger.error = this.logger.error.bind(this.options.logger);
-        AMA.Storage.setLogger(this.logger);
+        this.emitter = new AMA.EventEmitter(this.logger);
+        this.storage = AMA.StorageAdapter.resolve(this.options.storage, AMA.Storage, this.logger);
+        if (this.storage.setLogger) {
+            this.storage.setLogger(this.logger);
+        }
+        if (this.storage.setErrorHandler) {
+            this.storage.setErrorHandler(this.handleWriteError.bind(this));
+        }
+        if (this.storage.isReady && !this.storage.isReady()) {
+            this.logger.warn('Storage adapter has not finished loading, previously queued events may be overwritten');
+        }
+        if (this.storage.lastRecovery && this.storage.lastRecovery.discarded.length > 0) {
+            this.logger.warn('Corrupted storage, recovered: ' + this.storage.lastRecovery.recovered.join(', ') +
+                ', discarded: ' + this.storage.lastRecovery.discarded.join(', '));
+        }
 
         this.logger.log('[Function:(AMA)Client Constructor]' +
             (options ? '\noptions:' + JSON.stringify(options) : ''));
@@ -155,21 +251,49 @@ AMA.Client = (function () {
         this.options.submitCallback = this.options.submitCallback || AMA.Util.NOP;
         this.options.globalAttributes = this.options.globalAttributes || {};
         this.options.globalMetrics = this.options.globalMetrics || {};
+        this.options.scopedGlobalAttributes = this.options.scopedGlobalAttributes || {};
+        this.options.scopedGlobalMetrics = this.options.scopedGlobalMetrics || {};
+        this.options.storagePrefix = this.options.storagePrefix || this.options.appId;
+        this.options.evictionPolicy = this.options.evictionPolicy || 'dropOldest';
+        this.options.eventPriorities = this.options.eventPriorities || {};
+        this.options.coordinateTabs = (options.coordinateTabs !== undefined) ? options.coordinateTabs : true;
+        this.options.retryBaseDelay = (options.retryBaseDelay !== undefined) ? options.retryBaseDelay : 10000;
+        this.options.retryMaxDelay = (options.retryMaxDelay !== undefined) ? options.retryMaxDelay : 3600000;
+        this.options.maxRetryAttempts = this.options.maxRetryAttempts || 10;
+        this.options.maxBatchAge = this.options.maxBatchAge || 604800000;
+        this.options.inFlightTimeout = this.options.inFlightTimeout || 120000;
+        this.options.beaconSizeLimit = this.options.beaconSizeLimit || 64000;
 
-        AMA.Storage.set(
-            AMA.StorageKeys.GLOBAL_ATTRIBUTES,
+        this.StorageKeys = AMA.Util.scopeKeys(Client.STORAGE_KEYS, this.options.storagePrefix);
+        this.migrateUnscopedKeys();
+        consent = this.storage.get(this.StorageKeys.CONSENT) || this.options.consent || Client.CONSENT.GRANTED;
+
+        this.storage.set(
+            this.StorageKeys.GLOBAL_ATTRIBUTES,
             AMA.Util.mergeObjects(this.options.globalAttributes,
-                    AMA.Storage.get(AMA.StorageKeys.GLOBAL_ATTRIBUTES) || {})
+                    this.storage.get(this.StorageKeys.GLOBAL_ATTRIBUTES) || {})
         );
-        AMA.Storage.set(
-            AMA.StorageKeys.GLOBAL_METRICS,
+        this.storage.set(
+            this.StorageKeys.GLOBAL_METRICS,
             AMA.Util.mergeObjects(this.options.globalMetrics,
-                    AMA.Storage.get(AMA.StorageKeys.GLOBAL_METRICS) || {})
+                    this.storage.get(this.StorageKeys.GLOBAL_METRICS) || {})
+        );
+        this.storage.set(
+            this.StorageKeys.SCOPED_GLOBAL_ATTRIBUTES,
+            mergeScopedGlobals(this.options.scopedGlobalAttributes,
+                    this.storage.get(this.StorageKeys.SCOPED_GLOBAL_ATTRIBUTES) || {})
+        );
+        this.storage.set(
+            this.StorageKeys.SCOPED_GLOBAL_METRICS,
+            mergeScopedGlobals(this.options.scopedGlobalMetrics,
+                    this.storage.get(this.StorageKeys.SCOPED_GLOBAL_METRICS) || {})
         );
 
         this.options.clientContext = this.options.clientContext || {
             'client': {
-                'client_id': this.options.clientId || AMA.Util.GetClientId(),
+                //Without consent the id is not persisted, see setConsent
+                'client_id': this.options.clientId || (consent === Client.CONSENT.DENIED ? AMA.Util.GUID() :
+                        AMA.Util.GetClientId(this.storage, this.options.storagePrefix)),
                 'app_title': this.options.appTitle,
                 'app_version_name': this.options.appVersionName,
                 'app_version_code': this.options.appVersionCode,
@@ -193,24 +317,183 @@ AMA.Client = (function () {
             }
         };
 
-        this.StorageKeys = {
-            'EVENTS': 'AWSMobileAnalyticsEventStorage',
-            'BATCHES': 'AWSMobileAnalyticsBatchStorage',
-            'BATCH_INDEX': 'AWSMobileAnalyticsBatchIndexStorage'
-        };
-
         this.outputs = {};
-        this.outputs.MobileAnalytics = new AWS.MobileAnalytics({ apiVersion: this.options.apiVersion,
-                                                                   provider: this.options.provider });
+        this.outputs.consent = consent;
+        this.outputs.identity = this.storage.get(this.StorageKeys.IDENTITY) || null;
         this.outputs.timeoutReference = null;
+        this.outputs.middleware = [];
+        (this.options.middleware || []).forEach(this.addMiddleware, this);
+
+        this.outputs.events = this.storage.get(this.StorageKeys.EVENTS) || [];
+        this.outputs.batches = this.storage.get(this.StorageKeys.BATCHES) || {};
+        this.outputs.batchContexts = this.storage.get(this.StorageKeys.BATCH_CONTEXTS) || {};
+        this.outputs.destinations = this.createDestinations();
+        //The queue of the primary destination is exposed as it was before destinations were introduced
+        ['transport', 'batchIndex', 'retries', 'inFlight', 'inFlightCallbacks'].forEach(function (field) {
+            Object.defineProperty(this.outputs, field, {
+                enumerable: true,
+                get: function () {
+                    return this.outputs.destinations[0][field];
+                }.bind(this),
+                set: function (value) {
+                    this.outputs.destinations[0][field] = value;
+                }.bind(this)
+            });
+        }, this);
+        //Kept for compatibility, only set with the default transport
+        this.outputs.MobileAnalytics = this.outputs.transport.service;
+        this.pruneBatches();
+        this.pruneMissingBatches();
+        this.recoverInFlightBatches();
+        this.outputs.beaconed = this.storage.get(this.StorageKeys.BEACONED_BATCHES) || [];
+        this.purgeBeaconedBatches();
+
+        this.outputs.connectivity = this.options.connectivity || Client.browserConnectivity();
+        this.outputs.online = !this.outputs.connectivity || this.outputs.connectivity.isOnline() !== false;
+        if (this.outputs.connectivity) {
+            this.outputs.unsubscribeConnectivity = this.outputs.connectivity.subscribe(this.setOnline.bind(this));
+        }
 
-        this.outputs.events = AMA.Storage.get(this.StorageKeys.EVENTS) || [];
-        this.outputs.batches = AMA.Storage.get(this.StorageKeys.BATCHES) || {};
-        this.outputs.batchIndex = AMA.Storage.get(this.StorageKeys.BATCH_INDEX) || [];
+        if (this.options.coordinateTabs && typeof this.storage.sync !== 'function') {
+            //The leader would never see the events the other tabs queued
+            this.logger.warn('The storage adapter cannot pick up the changes of other tabs (no sync method), ' +
+                'tabs are not coordinated and every tab submits its own events');
+            this.options.coordinateTabs = false;
+        }
+        if (this.options.coordinateTabs) {
+            this.outputs.coordinator = new AMA.TabCoordinator(AMA.Util.mergeObjects(this.options.tabCoordinator || {}, {
+                lockKey: AMA.Util.scopeKey('AWSMobileAnalyticsLeader', this.options.storagePrefix),
+                logger: this.logger
+            }));
+            this.outputs.coordinator.start();
+        }
 
         this.submitEvents();
     };
 
+    /**
+     * Stop submitting events: cancel the auto submission, stop listening to the connectivity and give up the
+     * leadership of the tabs. The queued events stay in storage for the next client.
+     */
+    Client.prototype.destroy = function () {
+        this.logger.log('[Function:(AMA.Client).destroy]');
+        clearTimeout(this.outputs.timeoutReference);
+        this.outputs.timeoutReference = null;
+        if (this.outputs.unsubscribeConnectivity) {
+            this.outputs.unsubscribeConnectivity();
+            delete this.outputs.unsubscribeConnectivity;
+        }
+        if (this.outputs.coordinator) {
+            this.outputs.coordinator.stop();
+        }
+    };
+
+    /**
+     * Keys persisted by the client, scoped with options.storagePrefix
+     */
+    Client.STORAGE_KEYS = {
+        'CLIENT_ID': AMA.StorageKeys.CLIENT_ID,
+        'GLOBAL_ATTRIBUTES': AMA.StorageKeys.GLOBAL_ATTRIBUTES,
+        'GLOBAL_METRICS': AMA.StorageKeys.GLOBAL_METRICS,
+        'SCOPED_GLOBAL_ATTRIBUTES': 'AWSMobileAnalyticsScopedGlobalAttributes',
+        'SCOPED_GLOBAL_METRICS': 'AWSMobileAnalyticsScopedGlobalMetrics',
+        'SESSION_ID': AMA.StorageKeys.SESSION_ID,
+        'SESSION_EXPIRATION': AMA.StorageKeys.SESSION_EXPIRATION,
+        'SESSION_START_TIMESTAMP': AMA.StorageKeys.SESSION_START_TIMESTAMP,
+        'EVENTS': 'AWSMobileAnalyticsEventStorage',
+        'BATCHES': 'AWSMobileAnalyticsBatchStorage',
+        'BATCH_INDEX': 'AWSMobileAnalyticsBatchIndexStorage',
+        'BATCH_CONTEXTS': 'AWSMobileAnalyticsBatchContextStorage',
+        'BATCH_RETRIES': 'AWSMobileAnalyticsBatchRetryStorage',
+        'BATCHES_IN_FLIGHT': 'AWSMobileAnalyticsInFlightStorage',
+        'BEACONED_BATCHES': 'AWSMobileAnalyticsBeaconedStorage',
+        'CONSENT': 'AWSMobileAnalyticsConsent',
+        'IDENTITY': 'AWSMobileAnalyticsIdentity'
+    };
+
+    /**
+     * Attribute holding the user id of the events recorded once a user is identified
+     */
+    Client.USER_ID_ATTRIBUTE = '_userId';
+
+    /**
+     * Merges the scoped globals of each event type pattern
+     * @param {Object} override - Scoped globals taking precedence
+     * @param {Object} initial - Scoped globals
+     * @returns {Object} override
+     */
+    function mergeScopedGlobals(override, initial) {
+        Object.keys(initial).forEach(function (pattern) {
+            override[pattern] = AMA.Util.mergeObjects(override[pattern] || {}, initial[pattern]);
+        });
+        return override;
+    }
+
+    /**
+     * Connectivity probe of browsers, based on navigator.onLine and the online / offline events of window
+     * @returns {AMA.Client.ConnectivityProbe} null outside of browsers
+     */
+    Client.browserConnectivity = function () {
+        if (typeof window === 'undefined' || !window.navigator || typeof window.addEventListener !== 'function') {
+            return null;
+        }
+        return {
+            isOnline: function () {
+                return window.navigator.onLine !== false;
+            },
+            subscribe: function (listener) {
+                var online = function () { listener(true); }, offline = function () { listener(false); };
+                window.addEventListener('online', online);
+                window.addEventListener('offline', offline);
+                return function () {
+                    window.removeEventListener('online', online);
+                    window.removeEventListener('offline', offline);
+                };
+            }
+        };
+    };
+
+    /**
+     * Moves data persisted by earlier versions under unscoped keys to the keys scoped with options.storagePrefix.
+     * The client id and global attributes / metrics are copied since every app of the origin shared them, queued
+     * events, batches and sessions cannot be attributed to an app and are adopted by the first client loading them.
+     */
+    Client.prototype.migrateUnscopedKeys = function () {
+        var self = this, unscoped = Client.STORAGE_KEYS, sessionKeys = [];
+        if (this.StorageKeys.EVENTS === unscoped.EVENTS) {
+            return;
+        }
+        ['CLIENT_ID', 'GLOBAL_ATTRIBUTES', 'GLOBAL_METRICS'].forEach(function (name) {
+            var value = self.storage.get(unscoped[name]);
+            if (value !== undefined && self.storage.get(self.StorageKeys[name]) === undefined) {
+                self.storage.set(self.StorageKeys[name], value);
+            }
+        });
+        ['EVENTS', 'BATCH_INDEX'].forEach(function (name) {
+            var value = self.storage.get(unscoped[name]);
+            if (value !== undefined) {
+                self.logger.log('Migrating unscoped ' + unscoped[name]);
+                self.storage.set(self.StorageKeys[name], value.concat(self.storage.get(self.StorageKeys[name]) || []));
+                self.storage.delete(unscoped[name]);
+            }
+        });
+        if (this.storage.get(unscoped.BATCHES) !== undefined) {
+            this.storage.set(this.StorageKeys.BATCHES,
+                AMA.Util.mergeObjects(this.storage.get(this.StorageKeys.BATCHES) || {}, this.storage.get(unscoped.BATCHES)));
+            this.storage.delete(unscoped.BATCHES);
+        }
+        this.storage.each(function (key) {
+            if (key.indexOf(unscoped.SESSION_ID) === 0 || key.indexOf(unscoped.SESSION_EXPIRATION) === 0 ||
+                    key.indexOf(unscoped.SESSION_START_TIMESTAMP) === 0) {
+                sessionKeys.push(key);
+            }
+        });
+        sessionKeys.forEach(function (key) {
+            self.storage.set(AMA.Util.scopeKey(key, self.options.storagePrefix), self.storage.get(key));
+            self.storage.delete(key);
+        });
+    };
+
     Client.prototype.validateEvent = function (event) {
         var self = this, invalidMetrics = [];
         function customNameErrorFilter(name) {
@@ -222,6 +505,7 @@ AMA.Client = (function () {
         }
         function validationError(errorMsg) {
             self.logger.error(errorMsg);
+            self.emitter.emit('event:invalid', { event: event, error: errorMsg });
             return null;
         }
         invalidMetrics = Object.keys(event.metrics).filter(function (metricName) {
@@ -271,18 +555,14 @@ AMA.Client = (function () {
         attributes = attributes || {};
         metrics = metrics || {};
 
-        AMA.Util.mergeObjects(attributes, this.options.globalAttributes);
-        AMA.Util.mergeObjects(metrics, this.options.globalMetrics);
+        AMA.Util.mergeObjects(attributes, this.getGlobals(eventType, this.options.globalAttributes,
+                this.options.scopedGlobalAttributes));
+        AMA.Util.mergeObjects(metrics, this.getGlobals(eventType, this.options.globalMetrics,
+                this.options.scopedGlobalMetrics));
+        if (this.outputs.identity) {
+            attributes[Client.USER_ID_ATTRIBUTE] = this.outputs.identity.userId;
+        }
 
-        Object.keys(attributes).forEach(function (name) {
-            if (typeof attributes[name] !== 'string') {
-                try {
-                    attributes[name] = JSON.stringify(attributes[name]);
-                } catch (e) {
-                    that.logger.warn('Error parsing attribute ' + name);
-                }
-            }
-        });
         var event = {
             eventType: eventType,
             timestamp: new Date().toISOString(),
@@ -298,9 +578,275 @@ AMA.Client = (function () {
             event.session.stopTimestamp = session.stopTimestamp;
             event.session.duration = new Date(event.stopTimestamp).getTime() - new Date(event.startTimestamp).getTime();
         }
+        event = this.runMiddleware(event, session);
+        if (!event) {
+            return null;
+        }
+        event.attributes = event.attributes || {};
+        event.metrics = event.metrics || {};
+        Object.keys(event.attributes).forEach(function (name) {
+            if (typeof event.attributes[name] !== 'string') {
+                try {
+                    event.attributes[name] = JSON.stringify(event.attributes[name]);
+                } catch (e) {
+                    that.logger.warn('Error parsing attribute ' + name);
+                }
+            }
+        });
         return this.validateEvent(event);
     };
 
+    /**
+     * The globals applied to an event type: the globals of every matching pattern, in the order they were added, then
+     * the globals of every event type
+     * @param {string} eventType - Type of the event
+     * @param {Object} globals - Globals of every event type
+     * @param {Object} scopedGlobals - Map of event type patterns to globals
+     * @returns {Object} The globals, merged in a new object
+     */
+    Client.prototype.getGlobals = function (eventType, globals, scopedGlobals) {
+        var merged = {};
+        Object.keys(scopedGlobals).forEach(function (pattern) {
+            if (AMA.Util.matchesPattern(pattern, eventType)) {
+                AMA.Util.mergeObjects(merged, scopedGlobals[pattern]);
+            }
+        });
+        return AMA.Util.mergeObjects(merged, globals);
+    };
+
+    /**
+     * @param {string} [eventType=] - Event type pattern
+     * @returns {boolean} Whether the pattern is missing (every event type) or a non empty string
+     */
+    Client.prototype.isValidGlobalScope = function (eventType) {
+        if (eventType === undefined || (typeof eventType === 'string' && eventType.length > 0)) {
+            return true;
+        }
+        this.logger.error('Global event type patterns must be non empty strings');
+        return false;
+    };
+
+    /**
+     * Set a global and persist the globals
+     * @param {Object} globals - Globals of every event type
+     * @param {Object} scopedGlobals - Map of event type patterns to globals
+     * @param {string} name - Name of the global
+     * @param {*} value - Value of the global
+     * @param {string} [eventType=] - Event type pattern the global is limited to
+     */
+    Client.prototype.setGlobal = function (globals, scopedGlobals, name, value, eventType) {
+        if (eventType !== undefined) {
+            globals = scopedGlobals[eventType] = scopedGlobals[eventType] || {};
+        }
+        globals[name] = value;
+        this.saveGlobals();
+    };
+
+    /**
+     * Remove a global and persist the globals
+     * @param {Object} globals - Globals of every event type
+     * @param {Object} scopedGlobals - Map of event type patterns to globals
+     * @param {string} name - Name of the global
+     * @param {string} [eventType=] - Event type pattern the global is limited to
+     * @returns {boolean} Whether the global was set
+     */
+    Client.prototype.removeGlobal = function (globals, scopedGlobals, name, eventType) {
+        if (eventType !== undefined) {
+            globals = scopedGlobals[eventType] || {};
+        }
+        if (!globals.hasOwnProperty(name)) {
+            return false;
+        }
+        delete globals[name];
+        if (eventType !== undefined && Object.keys(globals).length === 0) {
+            delete scopedGlobals[eventType];
+        }
+        this.saveGlobals();
+        return true;
+    };
+
+    /**
+     * Persist the global attributes and metrics, they are merged with the options on the next construction
+     */
+    Client.prototype.saveGlobals = function () {
+        this.storage.set(this.StorageKeys.GLOBAL_ATTRIBUTES, this.options.globalAttributes);
+        this.storage.set(this.StorageKeys.GLOBAL_METRICS, this.options.globalMetrics);
+        this.storage.set(this.StorageKeys.SCOPED_GLOBAL_ATTRIBUTES, this.options.scopedGlobalAttributes);
+        this.storage.set(this.StorageKeys.SCOPED_GLOBAL_METRICS, this.options.scopedGlobalMetrics);
+    };
+
+    /**
+     * Set an attribute applied to every event recorded from now on, or to the events whose type matches eventType
+     * only, unless the event sets it. The global attributes are persisted and merged with options.globalAttributes
+     * and options.scopedGlobalAttributes on the next construction.
+     * @param {string} name - Name of the attribute, 1-50 characters
+     * @param {*} value - Value of the attribute, stringified like the attributes of events
+     * @param {string} [eventType=] - Event type pattern, exact or with * wildcards (for example 'checkout.*')
+     * @returns {boolean} Whether the attribute was valid
+     */
+    Client.prototype.setGlobalAttribute = function (name, value, eventType) {
+        if (typeof name !== 'string' || name.length === 0 || name.length > 50) {
+            this.logger.error('Global Attribute names must be 1-50 characters');
+            return false;
+        }
+        if (value === undefined || value === null) {
+            this.logger.error('Global Attribute ' + name + ' must have a value');
+            return false;
+        }
+        if (!this.isValidGlobalScope(eventType)) {
+            return false;
+        }
+        this.setGlobal(this.options.globalAttributes, this.options.scopedGlobalAttributes, name, value, eventType);
+        return true;
+    };
+
+    /**
+     * @param {string} name - Name of a global attribute
+     * @param {string} [eventType=] - The event type pattern the attribute was set for
+     * @returns {boolean} Whether the attribute was set
+     */
+    Client.prototype.removeGlobalAttribute = function (name, eventType) {
+        return this.removeGlobal(this.options.globalAttributes, this.options.scopedGlobalAttributes, name, eventType);
+    };
+
+    /**
+     * Set a metric applied to every event recorded from now on, or to the events whose type matches eventType only,
+     * unless the event sets it. The global metrics are persisted and merged with options.globalMetrics and
+     * options.scopedGlobalMetrics on the next construction.
+     * @param {string} name - Name of the metric, 1-50 characters
+     * @param {number} value - Value of the metric
+     * @param {string} [eventType=] - Event type pattern, exact or with * wildcards (for example 'checkout.*')
+     * @returns {boolean} Whether the metric was valid
+     */
+    Client.prototype.setGlobalMetric = function (name, value, eventType) {
+        if (typeof name !== 'string' || name.length === 0 || name.length > 50) {
+            this.logger.error('Global Metric names must be 1-50 characters');
+            return false;
+        }
+        if (typeof value !== 'number') {
+            this.logger.error('Global Metrics must be numeric (' + name + ')');
+            return false;
+        }
+        if (!this.isValidGlobalScope(eventType)) {
+            return false;
+        }
+        this.setGlobal(this.options.globalMetrics, this.options.scopedGlobalMetrics, name, value, eventType);
+        return true;
+    };
+
+    /**
+     * @param {string} name - Name of a global metric
+     * @param {string} [eventType=] - The event type pattern the metric was set for
+     * @returns {boolean} Whether the metric was set
+     */
+    Client.prototype.removeGlobalMetric = function (name, eventType) {
+        return this.removeGlobal(this.options.globalMetrics, this.options.scopedGlobalMetrics, name, eventType);
+    };
+
+    /**
+     * Remove every global attribute and metric, scoped or not
+     */
+    Client.prototype.clearGlobals = function () {
+        this.options.globalAttributes = {};
+        this.options.globalMetrics = {};
+        this.options.scopedGlobalAttributes = {};
+        this.options.scopedGlobalMetrics = {};
+        this.saveGlobals();
+    };
+
+    /**
+     * Append a middleware to the chain run on every event before it is validated
+     * @param {AMA.Client.Middleware} middleware
+     */
+    Client.prototype.addMiddleware = function (middleware) {
+        if (typeof middleware !== 'function') {
+            this.logger.error('Middleware must be a function');
+            return;
+        }
+        this.outputs.middleware = this.outputs.middleware.concat([middleware]);
+    };
+
+    /**
+     * @param {AMA.Client.Middleware} middleware - A middleware added before
+     * @returns {boolean} Whether the middleware was removed from the chain
+     */
+    Client.prototype.removeMiddleware = function (middleware) {
+        var count = this.outputs.middleware.length;
+        this.outputs.middleware = this.outputs.middleware.filter(function (added) {
+            return added !== middleware;
+        });
+        return this.outputs.middleware.length < count;
+    };
+
+    /**
+     * Pass an event through the middleware chain. Every middleware receives a copy of the event, so a middleware
+     * throwing an error is skipped and the next one receives the event as it was before it.
+     * @param {AMA.Client.Event} event - The event created
+     * @param {AMA.Session} session - Session the event is recorded in
+     * @returns {AMA.Client.Event} The resulting event, null when a middleware dropped it
+     */
+    Client.prototype.runMiddleware = function (event, session) {
+        var self = this, context = { session: session, client: this };
+        return this.outputs.middleware.reduce(function (current, middleware) {
+            var candidate, result;
+            if (!current) {
+                return current;
+            }
+            candidate = AMA.Util.copy(current, {});
+            try {
+                result = middleware(candidate, context);
+            } catch (e) {
+                self.logger.error('Event middleware failed on ' + current.eventType + ': ' + e.message);
+                return current;
+            }
+            if (result === null || result === false) {
+                self.logger.log('Event ' + current.eventType + ' dropped by a middleware');
+                return null;
+            }
+            //A non-object return value keeps the event as the middleware changed it
+            return typeof result === 'object' ? result : candidate;
+        }, event);
+    };
+
+    /**
+     * Subscribe to a lifecycle event of the client:
+     * - event:recorded (AMA.Client.Event) once an event is queued
+     * - event:invalid ({event, error}) when an event fails validation
+     * - batch:created ({batchId, events}) when queued events are batched
+     * - batch:submitting ({batchId, destination, events}) before a batch is sent
+     * - batch:submitted (AMA.Client.BatchResult) once a destination accepted a batch
+     * - batch:failed (AMA.Client.BatchResult) when a submission failed, the status tells whether it is retried
+     * - batch:dropped (AMA.Client.BatchResult with a reason) when a destination gives up a batch: rejected,
+     *   retriesExhausted, missing from storage or evicted (the reason being the eviction reason)
+     * - storage:error ({key, error}) when a key can not be persisted
+     * Listener errors are logged and never interrupt the client.
+     * @param {string} name - Name of the event
+     * @param {Function} listener - Called with the payload of the event
+     * @returns {Function} Unsubscribes the listener
+     */
+    Client.prototype.on = function (name, listener) {
+        return this.emitter.on(name, listener);
+    };
+
+    /**
+     * Subscribe to the next occurrence of a lifecycle event, see on
+     * @param {string} name - Name of the event
+     * @param {Function} listener - Called with the payload of the event
+     * @returns {Function} Unsubscribes the listener
+     */
+    Client.prototype.once = function (name, listener) {
+        return this.emitter.once(name, listener);
+    };
+
+    /**
+     * Unsubscribe a listener, or every listener of the event when none is given
+     * @param {string} name - Name of the event
+     * @param {Function} [listener=] - The listener passed to on or once
+     */
+    Client.prototype.off = function (name, listener) {
+        this.emitter.off(name, listener);
+    };
+
     /**
      * AMA.Client.pushEvent
      * @param {AMA.Event} event - event to be pushed onto queue
@@ -312,10 +858,689 @@ AMA.Client = (function () {
         }
         this.logger.log('[Function:(AMA.Client).pushEvent]' +
             (event ? '\nevent:' + JSON.stringify(event) : ''));
-        //Push adds to the end of array and returns the size of the array
-        var eventIndex = this.outputs.events.push(event);
-        AMA.Storage.set(this.StorageKeys.EVENTS, this.outputs.events);
-        return (eventIndex - 1);
+        this.syncQueue();
+        this.outputs.events.push(event);
+        this.persist(this.StorageKeys.EVENTS, this.outputs.events);
+        this.enforceStorageLimits();
+        //The event itself may have been evicted
+        return this.outputs.events.indexOf(event);
+    };
+
+    /**
+     * @typedef AMA.Client.Destination
+     * @description A backend the batches are delivered to
+     * @property {string} [name=] - Unique name of the destination, scoping its persisted queue. At most one destination
+     *                              is unnamed, it keeps the queue of a client configured without destinations.
+     * @property {AMA.Transport.Transport} [transport=] - Delivers the batches, defaults to an
+     *                                                    AMA.MobileAnalyticsTransport
+     * @property {AMA.Client.SubmitCallback} [submitCallback=options.submitCallback] - Callback function that is
+     *                                                                                executed after every submission
+     *                                                                                to the destination
+     */
+
+    /**
+     * Build the destinations from options.destinations, the first one is the primary destination: its queue is
+     * exposed as outputs.batchIndex and it receives the beacons
+     * @returns {Array} The destinations, with their persisted queue
+     */
+    Client.prototype.createDestinations = function () {
+        var self = this, names = [], specs = this.options.destinations;
+        if (!Array.isArray(specs) || specs.length === 0) {
+            specs = [{ transport: this.options.transport }];
+        }
+        specs = specs.filter(function (spec) {
+            var name = (spec && spec.name) || null;
+            if (!spec || names.indexOf(name) >= 0) {
+                self.logger.error('Ignoring destination ' + name + ', destination names must be unique');
+                return false;
+            }
+            names.push(name);
+            return true;
+        });
+        return specs.map(function (spec) {
+            var destination = {
+                name: spec.name || null,
+                StorageKeys: {},
+                submitCallback: spec.submitCallback || self.options.submitCallback,
+                inFlightCallbacks: {}
+            };
+            ['BATCH_INDEX', 'BATCH_RETRIES', 'BATCHES_IN_FLIGHT'].forEach(function (key) {
+                destination.StorageKeys[key] = self.StorageKeys[key] + (destination.name ? ':' + destination.name : '');
+            });
+            destination.transport = AMA.Transport.resolve(spec.transport, function () {
+                return new AMA.MobileAnalyticsTransport({ apiVersion: self.options.apiVersion,
+                                                          provider: self.options.provider });
+            }, self.logger);
+            self.loadDestination(destination);
+            return destination;
+        });
+    };
+
+    /**
+     * Read the persisted queue of a destination
+     * @param {AMA.Client.Destination} destination
+     */
+    Client.prototype.loadDestination = function (destination) {
+        destination.batchIndex = this.storage.get(destination.StorageKeys.BATCH_INDEX) || [];
+        destination.retries = this.storage.get(destination.StorageKeys.BATCH_RETRIES) || {};
+        destination.inFlight = this.storage.get(destination.StorageKeys.BATCHES_IN_FLIGHT) || {};
+    };
+
+    /**
+     * @param {string} [name=] - Name of a destination
+     * @returns {AMA.Client.Destination} The destination, the primary one when no name is given, null if unknown
+     */
+    Client.prototype.getDestination = function (name) {
+        var found = null;
+        this.outputs.destinations.some(function (destination) {
+            found = destination.name === (name || null) ? destination : null;
+            return found !== null;
+        });
+        return found || (name ? null : this.outputs.destinations[0]);
+    };
+
+    /**
+     * @returns {Array} Ids of the batches queued for at least one destination
+     */
+    Client.prototype.getBatchIds = function () {
+        var batchIds = [];
+        this.outputs.destinations.forEach(function (destination) {
+            destination.batchIndex.forEach(function (batchId) {
+                if (batchIds.indexOf(batchId) < 0) {
+                    batchIds.push(batchId);
+                }
+            });
+        });
+        return batchIds;
+    };
+
+    /**
+     * Drop the stored batches no destination refers to anymore, for example the batches of a destination removed
+     * from the options
+     */
+    Client.prototype.pruneBatches = function () {
+        var self = this, batchIds = this.getBatchIds(), pruned;
+        pruned = Object.keys(this.outputs.batches).filter(function (batchId) {
+            return batchIds.indexOf(batchId) < 0;
+        });
+        if (pruned.length > 0) {
+            this.logger.log('Dropping ' + pruned.length + ' batches no destination refers to');
+            pruned.forEach(function (batchId) {
+                delete self.outputs.batches[batchId];
+            });
+            this.storage.set(this.StorageKeys.BATCHES, this.outputs.batches);
+        }
+        this.pruneBatchContexts();
+    };
+
+    /**
+     * Drop the client contexts of the batches which are no longer stored
+     */
+    Client.prototype.pruneBatchContexts = function () {
+        var self = this, pruned = Object.keys(this.outputs.batchContexts).filter(function (batchId) {
+            return !self.outputs.batches[batchId];
+        });
+        if (pruned.length === 0) {
+            return;
+        }
+        pruned.forEach(function (batchId) {
+            delete self.outputs.batchContexts[batchId];
+        });
+        this.storage.set(this.StorageKeys.BATCH_CONTEXTS, this.outputs.batchContexts);
+    };
+
+    /**
+     * @param {string} batchId - Id of a stored batch
+     * @returns {Object} The client context of the client when the batch was created, batches created by previous
+     *                   versions are submitted with the current one
+     */
+    Client.prototype.getBatchContext = function (batchId) {
+        return this.outputs.batchContexts[batchId] || this.options.clientContext;
+    };
+
+    /**
+     * Drop the queue entries of every destination whose batch is missing, for example a corrupted batch the storage
+     * adapter discarded while loading
+     */
+    Client.prototype.pruneMissingBatches = function () {
+        var self = this;
+        this.outputs.destinations.forEach(function (destination) {
+            destination.batchIndex.filter(function (batchId) {
+                return !self.outputs.batches[batchId];
+            }).forEach(function (batchId) {
+                self.dropMissingBatch(batchId, destination);
+            });
+        });
+    };
+
+    /**
+     * Remove a batch which is no longer stored from the queue of a destination, with its retries and submission
+     * @param {string} batchId - Id of the missing batch
+     * @param {AMA.Client.Destination} destination - Destination whose queue refers to the batch
+     */
+    Client.prototype.dropMissingBatch = function (batchId, destination) {
+        this.logger.warn('Batch ' + batchId + ' is missing from storage, dropping it');
+        this.clearBatchById(batchId, destination);
+        if (destination.inFlight[batchId] !== undefined) {
+            delete destination.inFlight[batchId];
+            this.storage.set(destination.StorageKeys.BATCHES_IN_FLIGHT, destination.inFlight);
+        }
+        this.emitter.emit('batch:dropped', batchResult(batchId, destination, 'rejected', null, 'missing'));
+    };
+
+    /**
+     * Pick up the events and batches other tabs wrote to a shared storage before modifying them
+     */
+    Client.prototype.syncQueue = function () {
+        if (typeof this.storage.sync !== 'function' || !this.storage.sync()) {
+            return;
+        }
+        this.logger.log('[Function:(AMA.Client).syncQueue]');
+        this.outputs.events = this.storage.get(this.StorageKeys.EVENTS) || [];
+        this.outputs.batches = this.storage.get(this.StorageKeys.BATCHES) || {};
+        this.outputs.batchContexts = this.storage.get(this.StorageKeys.BATCH_CONTEXTS) || {};
+        this.outputs.destinations.forEach(this.loadDestination, this);
+        this.outputs.beaconed = this.storage.get(this.StorageKeys.BEACONED_BATCHES) || [];
+        this.syncConsent();
+    };
+
+    /**
+     * Apply the consent another tab persisted: once denied the client stops recording and submitting as it would
+     * after setConsent('denied')
+     */
+    Client.prototype.syncConsent = function () {
+        var consent = this.storage.get(this.StorageKeys.CONSENT);
+        if (consent === undefined || consent === this.outputs.consent) {
+            return;
+        }
+        this.logger.log('[Function:(AMA.Client).syncConsent]\nconsent:' + consent);
+        this.outputs.consent = consent;
+        if (consent === Client.CONSENT.DENIED) {
+            this.forgetClient();
+        }
+    };
+
+    Client.CONSENT = {
+        GRANTED: 'granted',
+        PENDING: 'pending',
+        DENIED: 'denied'
+    };
+
+    /**
+     * @returns {string} The consent of the user, see setConsent
+     */
+    Client.prototype.getConsent = function () {
+        return this.outputs.consent;
+    };
+
+    /**
+     * @returns {boolean} Whether events may be submitted, nothing is sent over the network until consent is granted.
+     *                    The consent set by other tabs is picked up first.
+     */
+    Client.prototype.hasConsent = function () {
+        this.syncQueue();
+        return this.outputs.consent === Client.CONSENT.GRANTED;
+    };
+
+    /**
+     * Record and persist the consent of the user to analytics:
+     * - 'granted': events are recorded and submitted, the queued events are submitted right away
+     * - 'pending': events are recorded and queued but not submitted until consent is granted
+     * - 'denied': events are no longer recorded, the queued events, the batches, the sessions and the client id are
+     *   purged from storage
+     * The clients of other tabs sharing the storage pick up the consent before recording or submitting events.
+     * @param {string} consent - 'granted', 'pending' or 'denied'
+     * @returns {boolean} Whether the consent was valid
+     */
+    Client.prototype.setConsent = function (consent) {
+        var clientKey = this.StorageKeys.CLIENT_ID, client = this.options.clientContext.client;
+        if (consent !== Client.CONSENT.GRANTED && consent !== Client.CONSENT.PENDING &&
+                consent !== Client.CONSENT.DENIED) {
+            this.logger.error('Consent must be granted, pending or denied');
+            return false;
+        }
+        this.logger.log('[Function:(AMA.Client).setConsent]\nconsent:' + consent);
+        this.outputs.consent = consent;
+        this.storage.set(this.StorageKeys.CONSENT, consent);
+        if (consent === Client.CONSENT.DENIED) {
+            this.forgetClient();
+            return true;
+        }
+        if (client && !this.options.clientId && this.storage.get(clientKey) === undefined) {
+            this.storage.set(clientKey, client.client_id);
+        }
+        if (consent === Client.CONSENT.GRANTED) {
+            this.outputs.lastSubmitTimestamp = null;
+            this.submitEvents();
+        }
+        return true;
+    };
+
+    /**
+     * Purge the queue (see purge) once consent is denied
+     */
+    Client.prototype.forgetClient = function () {
+        var client = this.options.clientContext.client;
+        this.purge();
+        if (client && !this.options.clientId) {
+            //Events recorded after consent is granted again belong to a new client
+            client.client_id = AMA.Util.GUID();
+        }
+    };
+
+    /**
+     * Remove the queued events, the batches of every destination, the sessions, the client id and the identity from
+     * storage and cancel the auto submission
+     */
+    Client.prototype.purge = function () {
+        var self = this, sessionKeys = [];
+        this.logger.log('[Function:(AMA.Client).purge]');
+        clearTimeout(this.outputs.timeoutReference);
+        this.outputs.timeoutReference = null;
+        this.outputs.events = [];
+        this.outputs.batches = {};
+        this.outputs.batchContexts = {};
+        this.outputs.beaconed = [];
+        this.outputs.identity = null;
+        [this.StorageKeys.EVENTS, this.StorageKeys.BATCHES, this.StorageKeys.BATCH_CONTEXTS,
+            this.StorageKeys.BEACONED_BATCHES,
+            this.StorageKeys.CLIENT_ID, this.StorageKeys.IDENTITY].forEach(function (key) {
+            self.storage.delete(key);
+        });
+        this.outputs.destinations.forEach(function (destination) {
+            destination.batchIndex = [];
+            destination.retries = {};
+            destination.inFlight = {};
+            Object.keys(destination.StorageKeys).forEach(function (name) {
+                self.storage.delete(destination.StorageKeys[name]);
+            });
+        });
+        this.storage.each(function (key) {
+            if (key.indexOf(self.StorageKeys.SESSION_ID) === 0 ||
+                    key.indexOf(self.StorageKeys.SESSION_EXPIRATION) === 0 ||
+                    key.indexOf(self.StorageKeys.SESSION_START_TIMESTAMP) === 0) {
+                sessionKeys.push(key);
+            }
+        });
+        sessionKeys.forEach(function (key) {
+            self.storage.delete(key);
+        });
+    };
+
+    /**
+     * Forget everything the client stored: cancel the auto submission, purge the queue (see purge), delete every
+     * other key persisted under options.storagePrefix (global attributes and metrics, plugin storage...) except the
+     * consent, and rebuild the client context with a new client id. The auto submission then starts over.
+     * @param {Object} [options=] - options for resetting the client
+     * @param {boolean} [options.newClientId=true] - Replace the client id, false keeps the current one
+     */
+    Client.prototype.reset = function (options) {
+        var self = this, prefix = this.options.storagePrefix + ':', keys = [], consent,
+            clientId = (this.options.clientContext.client || {}).client_id;
+        options = options || {};
+        this.logger.log('[Function:(AMA.Client).reset]' +
+            (options ? '\noptions:' + JSON.stringify(options) : ''));
+        consent = this.storage.get(this.StorageKeys.CONSENT);
+        this.purge();
+        this.storage.each(function (key) {
+            if (key.indexOf(prefix) === 0) {
+                keys.push(key);
+            }
+        });
+        keys.forEach(function (key) {
+            self.storage.delete(key);
+        });
+        if (consent !== undefined) {
+            this.storage.set(this.StorageKeys.CONSENT, consent);
+        }
+        this.options.globalAttributes = {};
+        this.options.globalMetrics = {};
+        this.options.scopedGlobalAttributes = {};
+        this.options.scopedGlobalMetrics = {};
+        this.outputs.lastSubmitTimestamp = null;
+        if (options.newClientId !== false) {
+            clientId = AMA.Util.GUID();
+            delete this.options.clientId;
+        }
+        this.setClientId(clientId);
+        //purge cancelled the auto submission, submitting arms it again when consent is granted
+        this.submitEvents();
+    };
+
+    /**
+     * Rebuild the client context with another client id, persisted unless consent is denied
+     * @param {string} clientId - The new client id
+     */
+    Client.prototype.setClientId = function (clientId) {
+        //Replaced rather than mutated, the previous context may still be used by a pending submission
+        var clientContext = AMA.Util.copy(this.options.clientContext, {});
+        if (clientContext.client) {
+            clientContext.client.client_id = clientId;
+            if (this.outputs.consent !== Client.CONSENT.DENIED) {
+                this.storage.set(this.StorageKeys.CLIENT_ID, clientId);
+            }
+        }
+        this.options.clientContext = clientContext;
+    };
+
+    /**
+     * @returns {AMA.Client.Identity} The identified user, null while anonymous
+     */
+    Client.prototype.getIdentity = function () {
+        return this.outputs.identity;
+    };
+
+    /**
+     * Attach a user id to the events recorded from now on (see Client.USER_ID_ATTRIBUTE) and persist it. Identifying
+     * another user logs the previous one out first. The events recorded before a change of user are batched on their
+     * own, so a batch never mixes users.
+     * @param {string} userId - Stable id of the user across devices
+     * @param {Object} [traits=] - Attributes of the user, merged with the traits of the same user identified before
+     * @returns {boolean} Whether the user id was valid
+     */
+    Client.prototype.identify = function (userId, traits) {
+        var identity = this.outputs.identity;
+        if (typeof userId !== 'string' || userId.length === 0) {
+            this.logger.error('User id must be a non empty string');
+            return false;
+        }
+        this.logger.log('[Function:(AMA.Client).identify]\nuserId:' + userId +
+            (traits ? '\ntraits:' + JSON.stringify(traits) : ''));
+        if (identity && identity.userId !== userId) {
+            this.logout();
+            identity = null;
+        }
+        if (!identity) {
+            this.batchEvents();
+        }
+        this.outputs.identity = {
+            userId: userId,
+            traits: AMA.Util.copy(traits || {}, identity ? identity.traits : {})
+        };
+        if (this.outputs.consent !== Client.CONSENT.DENIED) {
+            this.storage.set(this.StorageKeys.IDENTITY, this.outputs.identity);
+        }
+        return true;
+    };
+
+    /**
+     * Go back to anonymous: the events recorded before are batched on their own and the user id is removed from
+     * storage. Unless options.newClientId is false, the client id linked to the user is replaced as well.
+     * @param {Object} [options=] - options for logging out
+     * @param {boolean} [options.newClientId=true] - Replace the client id, false keeps the current one
+     * @returns {boolean} Whether a user was logged out
+     */
+    Client.prototype.logout = function (options) {
+        options = options || {};
+        if (!this.outputs.identity) {
+            return false;
+        }
+        this.logger.log('[Function:(AMA.Client).logout]');
+        this.batchEvents();
+        this.outputs.identity = null;
+        this.storage.delete(this.StorageKeys.IDENTITY);
+        if (options.newClientId !== false) {
+            delete this.options.clientId;
+            this.setClientId(AMA.Util.GUID());
+        }
+        return true;
+    };
+
+    /**
+     * @returns {boolean} Whether the device is online, events are only queued while it is offline
+     */
+    Client.prototype.isOnline = function () {
+        return this.outputs.online;
+    };
+
+    /**
+     * Update the connectivity state, called by the connectivity probe. Going offline suspends the auto submission,
+     * going back online submits the queued events right away.
+     * @param {boolean} online - Whether the device is online
+     */
+    Client.prototype.setOnline = function (online) {
+        online = online !== false;
+        if (online === this.outputs.online) {
+            return;
+        }
+        this.logger.log('[Function:(AMA.Client).setOnline]\nonline:' + online);
+        this.outputs.online = online;
+        if (!online) {
+            clearTimeout(this.outputs.timeoutReference);
+            this.outputs.timeoutReference = null;
+            return;
+        }
+        //Not throttled, the submission that may have happened just before going offline did not reach the service
+        this.outputs.lastSubmitTimestamp = null;
+        this.submitEvents();
+    };
+
+    /**
+     * @returns {boolean} Whether this client batches and submits events, only one tab does when coordinateTabs is set
+     */
+    Client.prototype.isLeader = function () {
+        return !this.outputs.coordinator || this.outputs.coordinator.isLeader();
+    };
+
+    /**
+     * Persist a value, evicting events (see evictionPolicy) until it fits when the storage adapter reports it is full
+     * @param {string} key - Storage key
+     * @param {*} value - Value to persist
+     * @returns {boolean} Whether the value was persisted
+     */
+    Client.prototype.persist = function (key, value) {
+        var evicted;
+        if (this.storage.set(key, value) !== false) {
+            return true;
+        }
+        this.logger.warn('Storage is full, evicting events (' + this.options.evictionPolicy + ')');
+        do {
+            //Each attempt rewrites the queue, evict by chunks so a full storage is not rewritten once per event
+            evicted = this.evictEvents(Math.max(1, Math.ceil(this.getQueuedEventCount() / 20)), 'quotaExceeded');
+            if (evicted > 0 && this.saveQueue()) {
+                return true;
+            }
+        } while (evicted > 0);
+        this.logger.error('Unable to persist ' + key + ', storage is full');
+        this.emitter.emit('storage:error', { key: key, error: new Error('Storage is full') });
+        return false;
+    };
+
+    /**
+     * Handle a write the storage adapter failed asynchronously: when the storage is full events are evicted (see
+     * evictionPolicy) and the queue is saved again, which reports a new failure while it still does not fit
+     * @param {AMA.StorageAdapter.WriteError} failure - The failed write
+     */
+    Client.prototype.handleWriteError = function (failure) {
+        var self = this;
+        this.logger.log('[Function:(AMA.Client).handleWriteError]\nkeys:' + failure.keys.join(', '));
+        if (failure.full) {
+            this.logger.warn('Storage is full, evicting events (' + this.options.evictionPolicy + ')');
+            if (this.evictEvents(Math.max(1, Math.ceil(this.getQueuedEventCount() / 20)), 'quotaExceeded') > 0) {
+                this.saveQueue();
+                return;
+            }
+        }
+        this.logger.error('Unable to persist ' + failure.keys.join(', ') + ': ' + failure.error);
+        failure.keys.forEach(function (key) {
+            self.emitter.emit('storage:error', { key: key, error: failure.error });
+        });
+    };
+
+    /**
+     * Persist the event queue, the batches, and the batch index and the retry state of every destination
+     * @returns {boolean} Whether every key was persisted
+     */
+    Client.prototype.saveQueue = function () {
+        var self = this;
+        return this.storage.set(this.StorageKeys.EVENTS, this.outputs.events) !== false &&
+            this.storage.set(this.StorageKeys.BATCHES, this.outputs.batches) !== false &&
+            this.outputs.destinations.every(function (destination) {
+                return self.storage.set(destination.StorageKeys.BATCH_INDEX, destination.batchIndex) !== false &&
+                    self.storage.set(destination.StorageKeys.BATCH_RETRIES, destination.retries) !== false;
+            });
+    };
+
+    /**
+     * @returns {number} The number of events waiting to be submitted, batched or not
+     */
+    Client.prototype.getQueuedEventCount = function () {
+        var self = this;
+        return this.getBatchIds().reduce(function (count, batchId) {
+            return count + (self.outputs.batches[batchId] || []).length;
+        }, this.outputs.events.length);
+    };
+
+    /**
+     * Evict events until the queue honors maxQueuedEvents and maxStorageBytes
+     */
+    Client.prototype.enforceStorageLimits = function () {
+        var self = this, excess = 0, evicted = 0, bytes, count;
+        if (this.options.maxQueuedEvents > 0) {
+            //The _sdk.dropped event queued by the first eviction counts towards the limit too
+            excess = this.getQueuedEventCount() - this.options.maxQueuedEvents;
+            while (excess > 0) {
+                count = this.evictEvents(excess, 'maxQueuedEvents');
+                if (count === 0) {
+                    break;
+                }
+                evicted += count;
+                excess = this.getQueuedEventCount() - this.options.maxQueuedEvents;
+            }
+        }
+        if (this.options.maxStorageBytes > 0) {
+            bytes = AMA.Util.getRequestBodySize(this.outputs.events) +
+                AMA.Util.getRequestBodySize(this.getBatchIds().map(function (batchId) {
+                    return self.outputs.batches[batchId] || [];
+                }));
+            excess = bytes - this.options.maxStorageBytes;
+            while (excess > 0) {
+                bytes = this.evictEvents(1, 'maxStorageBytes', true);
+                if (bytes === 0) {
+                    break;
+                }
+                evicted += 1;
+                excess -= bytes;
+            }
+        }
+        if (evicted > 0) {
+            this.saveQueue();
+        }
+    };
+
+    /**
+     * Priority of an event for the 'priority' eviction policy
+     * @param {AMA.Client.Event} event
+     * @returns {number}
+     */
+    Client.prototype.getEventPriority = function (event) {
+        var priorities = this.options.eventPriorities, priority = 0;
+        Object.keys(priorities).some(function (pattern) {
+            if (AMA.Util.matchesPattern(pattern, event.eventType)) {
+                priority = priorities[pattern];
+                return true;
+            }
+            return false;
+        });
+        return priority;
+    };
+
+    Client.DROPPED_EVENT_TYPE = '_sdk.dropped';
+
+    /**
+     * Remove events from the queue following options.evictionPolicy and count them in a _sdk.dropped event. The
+     * caller is responsible for persisting the queue.
+     * @param {number} count - Number of events to evict
+     * @param {string} reason - Why the events are evicted, recorded as the reason attribute of the _sdk.dropped event
+     * @param {boolean} [returnBytes=false] - Return the size of the evicted events instead of their number
+     * @returns {number} Number of events evicted (or their size in bytes)
+     */
+    Client.prototype.evictEvents = function (count, reason, returnBytes) {
+        var self = this, candidates = [], evicted, emptied = [], latestSession, result = 0;
+        this.getBatchIds().forEach(function (batchId) {
+            (self.outputs.batches[batchId] || []).forEach(function (event) {
+                candidates.push({ batchId: batchId, event: event });
+            });
+        });
+        this.outputs.events.forEach(function (event) {
+            candidates.push({ batchId: null, event: event });
+        });
+        candidates = candidates.filter(function (candidate, position) {
+            candidate.position = position;
+            return candidate.event.eventType !== Client.DROPPED_EVENT_TYPE;
+        });
+        if (candidates.length === 0) {
+            return 0;
+        }
+        latestSession = candidates[candidates.length - 1].event.session;
+        if (this.options.evictionPolicy === 'dropNewest') {
+            candidates.reverse();
+        } else if (this.options.evictionPolicy === 'priority') {
+            candidates.forEach(function (candidate) {
+                candidate.priority = self.getEventPriority(candidate.event);
+            });
+            candidates.sort(function (a, b) {
+                return (a.priority - b.priority) || (a.position - b.position);
+            });
+        }
+        evicted = candidates.slice(0, count);
+        evicted.forEach(function (candidate) {
+            var batch;
+            result += returnBytes ? AMA.Util.getRequestBodySize(candidate.event) : 1;
+            if (candidate.batchId === null) {
+                self.outputs.events.splice(self.outputs.events.indexOf(candidate.event), 1);
+            } else {
+                //Batches are replaced rather than mutated, storage adapters may treat them as immutable
+                batch = self.outputs.batches[candidate.batchId];
+                self.outputs.batches[candidate.batchId] = batch.filter(function (event) {
+                    return event !== candidate.event;
+                });
+                if (self.outputs.batches[candidate.batchId].length === 0) {
+                    emptied.push(candidate.batchId);
+                }
+            }
+        });
+        emptied.forEach(function (batchId) {
+            delete self.outputs.batches[batchId];
+            self.outputs.destinations.forEach(function (destination) {
+                delete destination.retries[batchId];
+                if (destination.batchIndex.indexOf(batchId) !== -1) {
+                    destination.batchIndex.splice(destination.batchIndex.indexOf(batchId), 1);
+                    self.emitter.emit('batch:dropped', batchResult(batchId, destination, 'rejected', null, reason));
+                }
+            });
+        });
+        this.pruneBatchContexts();
+        this.logger.warn('Evicted ' + evicted.length + ' events (' + reason + ')');
+        this.countDroppedEvents(evicted.length, reason, latestSession);
+        return result;
+    };
+
+    /**
+     * Add dropped events to the pending _sdk.dropped event for reason, or queue a new one
+     * @param {number} count - Number of dropped events
+     * @param {string} reason - Why the events were dropped
+     * @param {AMA.Session} session - Session to record the _sdk.dropped event in
+     */
+    Client.prototype.countDroppedEvents = function (count, reason, session) {
+        var self = this, pending = -1, event;
+        this.outputs.events.forEach(function (queued, index) {
+            if (queued.eventType === Client.DROPPED_EVENT_TYPE && queued.attributes.reason === reason) {
+                pending = index;
+            }
+        });
+        if (pending >= 0) {
+            //Replaced rather than mutated, storage adapters may treat queued events as immutable
+            event = JSON.parse(JSON.stringify(this.outputs.events[pending]));
+            event.metrics.count += count;
+            this.outputs.events[pending] = event;
+            return;
+        }
+        event = this.createEvent(Client.DROPPED_EVENT_TYPE, session,
+            { reason: reason, policy: self.options.evictionPolicy }, { count: count });
+        if (event) {
+            this.outputs.events.push(event);
+        }
     };
 
     /**
@@ -332,13 +1557,22 @@ AMA.Client = (function () {
             (session ? '\nsession:' + session : '') +
             (attributes ? '\nattributes:' + JSON.stringify(attributes) : '') +
             (metrics ? '\nmetrics:' + JSON.stringify(metrics) : ''));
+        //Consent may have been denied in another tab
+        this.syncQueue();
+        if (this.outputs.consent === Client.CONSENT.DENIED) {
+            this.logger.log('Consent denied, event ' + eventType + ' is not recorded');
+            return null;
+        }
         var index, event = this.createEvent(eventType, session, attributes, metrics);
         if (event) {
             index = this.pushEvent(event);
+            if (index >= 0) {
+                this.emitter.emit('event:recorded', event);
+            }
             if (AMA.Util.getRequestBodySize(this.outputs.events) >= this.options.batchSizeLimit) {
                 this.submitEvents();
             }
-            return this.outputs.events[index];
+            return index >= 0 ? this.outputs.events[index] : null;
         }
         return null;
     };
@@ -378,16 +1612,15 @@ AMA.Client = (function () {
     /**
      * submitEvents
      * @param {Object} [options=] - options for submitting events
-     * @param {Object} [options.clientContext=this.options.clientContext] - clientContext to submit with defaults
-     *                                                                      to options.clientContext
-     * @param {SubmitCallback} [options.submitCallback=this.options.submitCallback] - Callback function that is executed
-     *                                                                                when events are successfully
-     *                                                                                submitted
+     * @param {Object} [options.clientContext=] - clientContext to submit with, defaults to the client context each
+     *                                            batch was created with
+     * @param {SubmitCallback} [options.submitCallback=] - Callback function that is executed when events are
+     *                                                     successfully submitted, defaults to the submitCallback of
+     *                                                     each destination
      * @returns {Array} Array of batch indices that were submitted
      */
     Client.prototype.submitEvents = function (options) {
         options = options || {};
-        options.submitCallback = options.submitCallback || this.options.submitCallback;
         this.logger.log('[Function:(AMA.Client).submitEvents]' +
             (options ? '\noptions:' + JSON.stringify(options) : ''));
 
@@ -395,13 +1628,34 @@ AMA.Client = (function () {
             this.logger.warn('Prevented multiple submissions in under a second');
             return [];
         }
+        if (!this.isOnline()) {
+            this.logger.log('Offline, events will be submitted once back online');
+            return [];
+        }
+        if (!this.hasConsent()) {
+            this.logger.log('Consent ' + this.outputs.consent + ', events will be submitted once consent is granted');
+            return [];
+        }
         this.outputs.lastSubmitTimestamp = new Date().getTime();
-        var lastIndex, batchId, eventBatch;
         options = options || {};
         if (this.options.autoSubmitEvents) {
             clearTimeout(this.outputs.timeoutReference);
             this.outputs.timeoutReference = setTimeout(this.submitEvents.bind(this), this.options.autoSubmitInterval);
         }
+        if (!this.isLeader()) {
+            this.logger.log('Another tab is submitting events');
+            return [];
+        }
+        this.batchEvents();
+        return this.submitAllBatches(options);
+    };
+
+    /**
+     * Move the queued events to batches of at most options.batchSizeLimit bytes
+     */
+    Client.prototype.batchEvents = function () {
+        var lastIndex, batchId, eventBatch;
+        this.syncQueue();
         while (this.outputs.events.length > 0) {
             lastIndex = this.outputs.events.length;
             this.logger.log(this.outputs.events.length + ' events to be submitted');
@@ -419,70 +1673,512 @@ AMA.Client = (function () {
                 batchId = AMA.Util.GUID();
                 //Save batch so data is not lost.
                 this.outputs.batches[batchId] = eventBatch;
-                AMA.Storage.set(this.StorageKeys.BATCHES, this.outputs.batches);
-                this.outputs.batchIndex.push(batchId);
-                AMA.Storage.set(this.StorageKeys.BATCH_INDEX, this.outputs.batchIndex);
+                this.persist(this.StorageKeys.BATCHES, this.outputs.batches);
+                //Submitted with the client context it was recorded under, even once the client id changed
+                this.outputs.batchContexts[batchId] = this.options.clientContext;
+                this.persist(this.StorageKeys.BATCH_CONTEXTS, this.outputs.batchContexts);
+                this.queueBatch(batchId);
                 //Clear event queue
                 this.outputs.events.splice(0, lastIndex);
-                AMA.Storage.set(this.StorageKeys.EVENTS, this.outputs.events);
+                this.persist(this.StorageKeys.EVENTS, this.outputs.events);
+                this.emitter.emit('batch:created', { batchId: batchId, events: eventBatch });
             } else {
                 this.logger.error('Events too large');
             }
         }
-        return this.submitAllBatches(options);
     };
+
+    /**
+     * Add a stored batch to the queue of every destination
+     * @param {string} batchId - Id of the batch
+     */
+    Client.prototype.queueBatch = function (batchId) {
+        this.outputs.destinations.forEach(function (destination) {
+            destination.batchIndex.push(batchId);
+            this.persist(destination.StorageKeys.BATCH_INDEX, destination.batchIndex);
+        }, this);
+    };
+
+    /**
+     * @typedef AMA.Client.BatchResult
+     * @property {string} batchId - Id of the submitted batch
+     * @property {string} status - 'accepted' when the batch was delivered, 'rejected' when it was permanently rejected
+     *                             (and dropped), 'retryable' when it is kept to be submitted again later
+     * @property {Error} [error=] - The error returned when the batch was not accepted
+     * @property {string} [destination=] - Name of the destination the batch was submitted to, unset for an unnamed
+     *                                     destination
+     */
+
+    /**
+     * @param {string} batchId - Id of the batch
+     * @param {AMA.Client.Destination} destination - Destination the batch was submitted to
+     * @param {string} status - Status of the submission
+     * @param {Error} [error=] - The error returned when the batch was not accepted
+     * @param {string} [reason=] - Why a batch was dropped
+     * @returns {AMA.Client.BatchResult}
+     */
+    function batchResult(batchId, destination, status, error, reason) {
+        var result = { batchId: batchId, status: status };
+        if (error) {
+            result.error = error;
+        }
+        if (reason) {
+            result.reason = reason;
+        }
+        if (destination.name) {
+            result.destination = destination.name;
+        }
+        return result;
+    }
+
+    /**
+     * Batch the queued events and submit every batch to every destination, bypassing the submission throttle and the
+     * backoff of batches that failed before. A batch failing with a retryable error is submitted again once its
+     * backoff delay elapsed, until it is accepted or rejected. A batch whose next attempt would only come after the
+     * timeout, and every batch while offline or without consent, is reported as retryable: its events were not
+     * delivered yet. Requires a Promise implementation (native or polyfill).
+     * @param {Object} [options=] - options for submitting events, see submitEvents
+     * @param {number} [options.timeout=30000] - Milliseconds during which failed batches are retried, 0 reports them
+     *                                           as retryable after the first attempt
+     * @returns {Promise} Resolved with an array of AMA.Client.BatchResult once every batch was accepted, rejected or
+     *                    could not be delivered before the timeout, never rejected
+     */
+    Client.prototype.flush = function (options) {
+        var self = this, deadline;
+        options = options || {};
+        deadline = new Date().getTime() + (options.timeout !== undefined ? options.timeout : 30000);
+        this.logger.log('[Function:(AMA.Client).flush]');
+        if (typeof Promise === 'undefined') {
+            this.logger.error('AMA.Client.flush requires a Promise implementation');
+            return null;
+        }
+        if (!this.isLeader()) {
+            this.logger.log('Another tab is submitting events');
+            return Promise.resolve([]);
+        }
+        this.batchEvents();
+        if (!this.isOnline() || !this.hasConsent()) {
+            this.logger.log('Offline or consent not granted, events will be submitted later');
+            return Promise.resolve(this.outputs.destinations.reduce(function (results, destination) {
+                return results.concat(destination.batchIndex.map(function (batchId) {
+                    return batchResult(batchId, destination, 'retryable');
+                }));
+            }, []));
+        }
+        function settle(batchId, destination, resolve) {
+            self.submitBatchById({
+                batchId: batchId,
+                clientContext: options.clientContext,
+                submitCallback: options.submitCallback,
+                destination: destination.name
+            }, function (result) {
+                var retry = destination.retries[result.batchId], timeoutReference, unsubscribe;
+                function stopWaiting() {
+                    clearTimeout(timeoutReference);
+                    unsubscribe.forEach(function (off) {
+                        off();
+                    });
+                }
+                //Batches reported as retryable without an error were not submitted (no consent, pending in another
+                //tab), they are not retried either
+                if (result.status !== 'retryable' || !result.error || !retry || retry.nextAttempt > deadline) {
+                    return resolve(result);
+                }
+                //Another submission (the auto submission) may settle the batch in the meantime
+                unsubscribe = ['batch:submitted', 'batch:dropped'].map(function (name) {
+                    return self.on(name, function (settled) {
+                        if (settled.batchId === result.batchId && settled.destination === result.destination) {
+                            stopWaiting();
+                            resolve(settled);
+                        }
+                    });
+                });
+                timeoutReference = setTimeout(function () {
+                    stopWaiting();
+                    if (destination.batchIndex.indexOf(result.batchId) === -1 || !self.isOnline()) {
+                        return resolve(result);
+                    }
+                    settle(result.batchId, destination, resolve);
+                }, Math.max(0, retry.nextAttempt - new Date().getTime()));
+            });
+        }
+        //Accepted batches are removed from the index while iterating
+        return Promise.all(this.outputs.destinations.reduce(function (pending, destination) {
+            return pending.concat(destination.batchIndex.slice().map(function (batchId) {
+                return new Promise(function (resolve) {
+                    settle(batchId, destination, resolve);
+                });
+            }));
+        }, []));
+    };
+
     Client.prototype.submitAllBatches = function (options) {
-        options.submitCallback = options.submitCallback || this.options.submitCallback;
         this.logger.log('[Function:(AMA.Client).submitAllBatches]' +
             (options ? '\noptions:' + JSON.stringify(options) : ''));
         var indices = [],
             that = this;
-        this.outputs.batchIndex.forEach(function (batchIndex) {
-            options.batchId = batchIndex;
-            options.clientContext = options.clientContext || that.options.clientContext;
-            that.submitBatchById(options);
-            indices.push(batchIndex);
+        this.outputs.destinations.forEach(function (destination) {
+            //Accepted batches are removed from the index while iterating
+            destination.batchIndex.slice().forEach(function (batchIndex) {
+                if (!that.isBatchDue(batchIndex, destination) || that.isBatchInFlight(batchIndex, destination)) {
+                    return;
+                }
+                that.submitBatchById({
+                    batchId: batchIndex,
+                    clientContext: options.clientContext,
+                    submitCallback: options.submitCallback,
+                    destination: destination.name
+                });
+                if (indices.indexOf(batchIndex) < 0) {
+                    indices.push(batchIndex);
+                }
+            });
         });
         return indices;
     };
-    Client.prototype.clearBatchById = function (batchId) {
+
+    /**
+     * Remove a batch from the queue of a destination, the batch itself is dropped once no destination refers to it
+     * @param {string} batchId - Id of the batch
+     * @param {AMA.Client.Destination} [destination=primary destination] - Destination the batch is removed from
+     */
+    Client.prototype.clearBatchById = function (batchId, destination) {
         this.logger.log('[Function:(AMA.Client).clearBatchById]' +
             (batchId ? '\nbatchId:' + batchId : ''));
-        if (this.outputs.batchIndex.indexOf(batchId) !== -1) {
-            delete this.outputs.batches[batchId];
-            this.outputs.batchIndex.splice(this.outputs.batchIndex.indexOf(batchId), 1);
+        destination = destination || this.outputs.destinations[0];
+        this.syncQueue();
+        if (destination.batchIndex.indexOf(batchId) !== -1) {
+            destination.batchIndex.splice(destination.batchIndex.indexOf(batchId), 1);
+            if (this.getBatchIds().indexOf(batchId) < 0) {
+                delete this.outputs.batches[batchId];
+            }
 
             // Persist latest batches / events
-            AMA.Storage.set(this.StorageKeys.BATCH_INDEX, this.outputs.batchIndex);
-            AMA.Storage.set(this.StorageKeys.BATCHES, this.outputs.batches);
+            this.storage.set(destination.StorageKeys.BATCH_INDEX, destination.batchIndex);
+            this.storage.set(this.StorageKeys.BATCHES, this.outputs.batches);
+            this.pruneBatchContexts();
+        }
+        if (destination.retries[batchId]) {
+            delete destination.retries[batchId];
+            this.storage.set(destination.StorageKeys.BATCH_RETRIES, destination.retries);
+        }
+    };
+
+    /**
+     * @param {string} batchId - Id of a stored batch
+     * @param {AMA.Client.Destination} [destination=primary destination] - Destination of the submission
+     * @returns {boolean} Whether a submission of the batch, by this client or another tab, has not completed yet and
+     *                    has not timed out (see inFlightTimeout)
+     */
+    Client.prototype.isBatchInFlight = function (batchId, destination) {
+        destination = destination || this.outputs.destinations[0];
+        var since = destination.inFlight[batchId];
+        return destination.inFlightCallbacks[batchId] !== undefined ||
+            (since !== undefined && new Date().getTime() - since < this.options.inFlightTimeout);
+    };
+
+    /**
+     * Forget the submissions which timed out or whose batch no longer exists, left over by a page that was reloaded
+     * or closed before they completed. Their batches are submitted again.
+     */
+    Client.prototype.recoverInFlightBatches = function () {
+        var self = this;
+        this.outputs.destinations.forEach(function (destination) {
+            var recovered = Object.keys(destination.inFlight).filter(function (batchId) {
+                return !self.outputs.batches[batchId] || !self.isBatchInFlight(batchId, destination);
+            });
+            if (recovered.length === 0) {
+                return;
+            }
+            self.logger.log('Recovering ' + recovered.length + ' interrupted batch submissions');
+            recovered.forEach(function (batchId) {
+                delete destination.inFlight[batchId];
+            });
+            self.storage.set(destination.StorageKeys.BATCHES_IN_FLIGHT, destination.inFlight);
+        });
+    };
+
+    /**
+     * Drop the batches of the primary destination a previous page handed to navigator.sendBeacon but whose removal
+     * did not reach the storage before the page was unloaded, so they are not submitted twice
+     */
+    Client.prototype.purgeBeaconedBatches = function () {
+        var self = this;
+        if (this.outputs.beaconed.length === 0) {
+            return;
+        }
+        this.outputs.beaconed.forEach(function (batchId) {
+            if (self.outputs.batchIndex.indexOf(batchId) !== -1) {
+                self.logger.log('Dropping batch ' + batchId + ', it was sent with a beacon');
+                self.clearBatchById(batchId);
+            }
+        });
+        this.outputs.beaconed = [];
+        this.storage.set(this.StorageKeys.BEACONED_BATCHES, this.outputs.beaconed);
+    };
+
+    /**
+     * Send the batches of the primary destination with navigator.sendBeacon, which browsers deliver even once the
+     * page is unloaded. The requests can not be signed, the url must be a proxy or a pre-signed endpoint submitting
+     * the events to Mobile Analytics. Every batch is posted as a JSON string {clientContext: Object, events: Array}.
+     * Batches larger than beaconSizeLimit, being submitted or refused by the browser stay queued, the others are
+     * removed from the queue and marked so they are never submitted again.
+     * @param {string} url - The endpoint receiving the beacons
+     * @param {Object} [options=] - options for submitting events
+     * @param {Object} [options.clientContext=] - clientContext to submit, defaults to the one of each batch
+     * @returns {Array} Array of batch indices that were sent
+     */
+    Client.prototype.beaconEvents = function (url, options) {
+        var self = this, sent = [];
+        options = options || {};
+        this.logger.log('[Function:(AMA.Client).beaconEvents]' + (url ? '\nurl:' + url : ''));
+        if (typeof window === 'undefined' || !window.navigator || typeof window.navigator.sendBeacon !== 'function') {
+            this.logger.log('navigator.sendBeacon is not supported');
+            return sent;
+        }
+        if (!this.isLeader() || !this.isOnline() || !this.hasConsent()) {
+            return sent;
+        }
+        this.batchEvents();
+        this.outputs.batchIndex.slice().forEach(function (batchId) {
+            var payload = JSON.stringify({
+                clientContext: options.clientContext || self.getBatchContext(batchId),
+                events: self.outputs.batches[batchId]
+            });
+            if (self.isBatchInFlight(batchId) || AMA.Util.getRequestBodySize(payload) > self.options.beaconSizeLimit) {
+                return;
+            }
+            if (!window.navigator.sendBeacon(url, payload)) {
+                self.logger.warn('Beacon refused for batch ' + batchId);
+                return;
+            }
+            //Marked before being cleared, in case the page is unloaded before both writes reach the storage
+            self.outputs.beaconed = self.outputs.beaconed.concat([batchId]);
+            self.storage.set(self.StorageKeys.BEACONED_BATCHES, self.outputs.beaconed);
+            self.clearBatchById(batchId);
+            sent.push(batchId);
+        });
+        return sent;
+    };
+
+    /**
+     * @typedef AMA.Client.RetryState
+     * @description Persisted for every batch that failed with a retryable error
+     * @property {number} attempts - Number of failed attempts
+     * @property {number} nextAttempt - Time in ms before which the batch is not submitted again
+     * @property {Object} lastError - code, message and statusCode of the last error
+     */
+
+    /**
+     * @param {string} batchId - Id of a stored batch
+     * @param {AMA.Client.Destination} [destination=primary destination] - Destination the batch is queued for
+     * @returns {boolean} Whether the backoff of a batch that failed before has elapsed
+     */
+    Client.prototype.isBatchDue = function (batchId, destination) {
+        var retry = (destination || this.outputs.destinations[0]).retries[batchId];
+        return !retry || retry.nextAttempt <= new Date().getTime();
+    };
+
+    /**
+     * Exponential backoff with jitter: half of the delay is fixed, the other half random, so the tabs and devices
+     * that failed at the same time spread their retries
+     * @param {number} attempts - Number of failed attempts
+     * @returns {number} Delay in ms before the next attempt
+     */
+    Client.prototype.getRetryDelay = function (attempts) {
+        var delay = Math.min(this.options.retryMaxDelay, this.options.retryBaseDelay * Math.pow(2, attempts - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    };
+
+    /**
+     * Count a retryable failure of a batch and schedule its next attempt, or drop the batch once it exhausted
+     * maxRetryAttempts or its oldest event is older than maxBatchAge. Dropped events are counted in a _sdk.dropped
+     * event.
+     * @param {string} batchId - Id of the batch that failed
+     * @param {Error} err - The retryable error
+     * @param {AMA.Client.Destination} [destination=primary destination] - Destination the batch failed to reach
+     * @returns {boolean} Whether the batch is kept to be retried
+     */
+    Client.prototype.retryBatchLater = function (batchId, err, destination) {
+        var batch, retry, now = new Date().getTime(), oldest;
+        destination = destination || this.outputs.destinations[0];
+        this.syncQueue();
+        batch = this.outputs.batches[batchId];
+        if (!batch) {
+            return false;
+        }
+        retry = destination.retries[batchId] || { attempts: 0 };
+        oldest = new Date(batch[0].timestamp).getTime();
+        //Replaced rather than mutated, storage adapters may treat stored objects as immutable
+        retry = {
+            attempts: retry.attempts + 1,
+            nextAttempt: now + this.getRetryDelay(retry.attempts + 1),
+            lastError: { code: err.code, message: err.message, statusCode: err.statusCode }
+        };
+        if (retry.attempts >= this.options.maxRetryAttempts || now - oldest >= this.options.maxBatchAge) {
+            this.logger.warn('Giving up on batch ' + batchId + ' after ' + retry.attempts + ' attempts');
+            this.clearBatchById(batchId, destination);
+            this.emitter.emit('batch:dropped', batchResult(batchId, destination, 'rejected', err, 'retriesExhausted'));
+            this.countDroppedEvents(batch.length, 'retriesExhausted', batch[batch.length - 1].session);
+            this.persist(this.StorageKeys.EVENTS, this.outputs.events);
+            return false;
+        }
+        destination.retries[batchId] = retry;
+        this.persist(destination.StorageKeys.BATCH_RETRIES, destination.retries);
+        return true;
+    };
+
+    /**
+     * Replace the events of a batch for a destination. A batch still queued for other destinations is left untouched,
+     * the destination gets a copy of it, with its retry state, under a new id.
+     * @param {string} batchId - Id of the batch
+     * @param {Array} events - The new events of the batch
+     * @param {AMA.Client.Destination} destination - Destination the events are replaced for
+     * @returns {string} Id of the batch holding the events
+     */
+    Client.prototype.replaceBatchEvents = function (batchId, events, destination) {
+        var copyId, shared = this.outputs.destinations.some(function (other) {
+            return other !== destination && other.batchIndex.indexOf(batchId) !== -1;
+        });
+        if (!shared) {
+            this.outputs.batches[batchId] = events;
+            this.persist(this.StorageKeys.BATCHES, this.outputs.batches);
+            return batchId;
+        }
+        copyId = AMA.Util.GUID();
+        this.outputs.batches[copyId] = events;
+        this.persist(this.StorageKeys.BATCHES, this.outputs.batches);
+        if (this.outputs.batchContexts[batchId]) {
+            this.outputs.batchContexts[copyId] = this.outputs.batchContexts[batchId];
+            this.persist(this.StorageKeys.BATCH_CONTEXTS, this.outputs.batchContexts);
         }
+        destination.batchIndex[destination.batchIndex.indexOf(batchId)] = copyId;
+        this.persist(destination.StorageKeys.BATCH_INDEX, destination.batchIndex);
+        if (destination.retries[batchId]) {
+            destination.retries[copyId] = destination.retries[batchId];
+            delete destination.retries[batchId];
+            this.persist(destination.StorageKeys.BATCH_RETRIES, destination.retries);
+        }
+        return copyId;
     };
 
-    Client.NON_RETRYABLE_EXCEPTIONS = ['BadRequestException', 'SerializationException', 'ValidationException'];
-    Client.prototype.submitBatchById = function (options) {
+    Client.NON_RETRYABLE_EXCEPTIONS = AMA.MobileAnalyticsTransport.NON_RETRYABLE_EXCEPTIONS;
+    /**
+     * Submit a stored batch to a destination. A batch is never submitted twice at the same time to a destination:
+     * while the submission of this client is pending the callback waits for its result, while the submission of
+     * another tab is pending the batch is reported as retryable. A transport throwing while sending fails the batch:
+     * it is retried, unless the error is a configuration error (with a ConfigError code).
+     * @param {Object} options - options for submitting the batch
+     * @param {string} options.batchId - Id of the batch to submit
+     * @param {string} [options.destination=] - Name of the destination to submit to, defaults to the primary one
+     * @param {Object} [options.clientContext=] - clientContext to submit, defaults to the client context the batch
+     *                                            was created with (see getBatchContext)
+     * @param {SubmitCallback} [options.submitCallback=] - Defaults to the submitCallback of the destination
+     * @param {Function} [callback=] - Called with the AMA.Client.BatchResult of the submission
+     */
+    Client.prototype.submitBatchById = function (options, callback) {
         options = options || {};
-        options.submitCallback = options.submitCallback || this.options.submitCallback;
         this.logger.log('[Function:(AMA.Client).submitBatchById]' +
             (options ? '\noptions:' + JSON.stringify(options) : ''));
-        var eventBatch = {
-            'events': this.outputs.batches[options.batchId],
-            'clientContext': JSON.stringify(options.clientContext || this.options.clientContext)
-        }, self = this;
-        this.outputs.MobileAnalytics.putEvents(eventBatch, function (err, data) {
-            var clearBatch = true;
-            options.submitCallback(err, data, options.batchId);
+        var self = this, clientContext = options.clientContext || this.getBatchContext(options.batchId),
+            destination = this.getDestination(options.destination),
+            submitCallback, completed = false;
+        if (!destination) {
+            this.logger.error('Unknown destination ' + options.destination);
+            return;
+        }
+        submitCallback = options.submitCallback || destination.submitCallback;
+        if (!this.hasConsent()) {
+            this.logger.log('Consent ' + this.outputs.consent + ', batch ' + options.batchId + ' is not submitted');
+            if (callback) {
+                callback(batchResult(options.batchId, destination, 'retryable'));
+            }
+            return;
+        }
+        if (!destination.inFlightCallbacks[options.batchId] && !this.outputs.batches[options.batchId]) {
+            this.dropMissingBatch(options.batchId, destination);
+            if (callback) {
+                callback(batchResult(options.batchId, destination, 'rejected', new Error('Batch ' + options.batchId +
+                    ' is missing from storage'), 'missing'));
+            }
+            return;
+        }
+        if (destination.inFlightCallbacks[options.batchId]) {
+            this.logger.log('Batch ' + options.batchId + ' is already being submitted');
+            if (callback) {
+                destination.inFlightCallbacks[options.batchId].push(callback);
+            }
+            return;
+        }
+        if (this.isBatchInFlight(options.batchId, destination)) {
+            this.logger.log('Batch ' + options.batchId + ' is being submitted by another tab');
+            if (callback) {
+                callback(batchResult(options.batchId, destination, 'retryable'));
+            }
+            return;
+        }
+        destination.inFlightCallbacks[options.batchId] = callback ? [callback] : [];
+        destination.inFlight[options.batchId] = new Date().getTime();
+        this.storage.set(destination.StorageKeys.BATCHES_IN_FLIGHT, destination.inFlight);
+        this.emitter.emit('batch:submitting', { batchId: options.batchId, destination: destination.name,
+                                                events: this.outputs.batches[options.batchId] });
+        function complete(result) {
+            var clearBatch = true, status = 'accepted', callbacks = destination.inFlightCallbacks[options.batchId],
+                err = result.error || null, data = result.data === undefined ? null : result.data,
+                batchId = options.batchId;
+            if (completed) {
+                return;
+            }
+            completed = true;
+            delete destination.inFlightCallbacks[batchId];
+            self.syncQueue();
+            delete destination.inFlight[batchId];
+            self.storage.set(destination.StorageKeys.BATCHES_IN_FLIGHT, destination.inFlight);
+            if (result.status !== AMA.Transport.SUCCESS) {
+                //Transports may classify a failure without an error object
+                err = err || new Error('Batch submission failed (' + result.status + ')');
+            }
+            submitCallback(err, data, batchId, destination.name);
             if (err) {
                 self.logger.error(err, data);
-                if ((err.statusCode === undefined || err.statusCode === 400) && Client.NON_RETRYABLE_EXCEPTIONS.indexOf(err.code) < 0) {
+                status = 'rejected';
+                if (result.status === AMA.Transport.RETRYABLE) {
                     clearBatch = false;
+                    if (Array.isArray(result.retryEvents) && result.retryEvents.length > 0 &&
+                            self.outputs.batches[batchId]) {
+                        //Only the events the backend did not accept are retried
+                        batchId = self.replaceBatchEvents(batchId, result.retryEvents, destination);
+                    }
+                    if (self.retryBatchLater(batchId, err, destination)) {
+                        status = 'retryable';
+                    }
                 }
             } else {
                 self.logger.info('Events Submitted Successfully');
             }
             if (clearBatch) {
-                self.clearBatchById(options.batchId);
+                self.clearBatchById(batchId, destination);
             }
-        });
+            if (err) {
+                self.emitter.emit('batch:failed', batchResult(batchId, destination, status, err));
+            } else {
+                self.emitter.emit('batch:submitted', batchResult(batchId, destination, status));
+            }
+            if (status === 'rejected' && result.status === AMA.Transport.FATAL) {
+                self.emitter.emit('batch:dropped', batchResult(batchId, destination, status, err, 'rejected'));
+            }
+            callbacks.forEach(function (pending) {
+                pending(batchResult(batchId, destination, status, err));
+            });
+        }
+        try {
+            destination.transport.send(this.outputs.batches[options.batchId], clientContext, complete);
+        } catch (sendError) {
+            complete({
+                status: sendError && sendError.code === 'ConfigError' ? AMA.Transport.FATAL : AMA.Transport.RETRYABLE,
+                error: sendError instanceof Error ? sendError : new Error(String(sendError))
+            });
+        }
     };
 
     return Client;
@@ -0,0 +1,97 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AMA = global.AMA;
+AMA.Util = require('./MobileAnalyticsUtilities.js');
+
+/**
+ * @name AMA.EventEmitter
+ * @namespace AMA.EventEmitter
+ * @constructor
+ * @description Notifies the listeners of the lifecycle events of a client (event:recorded, batch:submitted,
+ *              session:start...). Listeners are called synchronously in the order they subscribed, a listener throwing
+ *              an error is logged and does not prevent the others from being called.
+ * @param {AMA.Client.Logger=} [logger=] - Object containing javascript style logger functions
+ */
+AMA.EventEmitter = (function () {
+    'use strict';
+    /**
+     * @lends AMA.EventEmitter
+     */
+    var EventEmitter = function (logger) {
+        this.logger = logger || { error: AMA.Util.NOP };
+        this.listeners = {};
+    };
+
+    /**
+     * Subscribe to an event
+     * @param {string} name - Name of the event
+     * @param {Function} listener - Called with the payload of the event
+     * @returns {Function} Unsubscribes the listener
+     */
+    EventEmitter.prototype.on = function (name, listener) {
+        if (typeof listener !== 'function') {
+            this.logger.error('Listener of ' + name + ' must be a function');
+            return AMA.Util.NOP;
+        }
+        //Replaced rather than mutated, so listeners unsubscribing while an event is emitted do not skip others
+        this.listeners[name] = (this.listeners[name] || []).concat([listener]);
+        return this.off.bind(this, name, listener);
+    };
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} name - Name of the event
+     * @param {Function} listener - Called with the payload of the event
+     * @returns {Function} Unsubscribes the listener
+     */
+    EventEmitter.prototype.once = function (name, listener) {
+        var self = this;
+        function onceListener(payload) {
+            self.off(name, onceListener);
+            listener(payload);
+        }
+        onceListener.listener = listener;
+        return typeof listener === 'function' ? this.on(name, onceListener) : this.on(name, listener);
+    };
+
+    /**
+     * Unsubscribe a listener, or every listener of the event when none is given
+     * @param {string} name - Name of the event
+     * @param {Function} [listener=] - The listener passed to on or once
+     */
+    EventEmitter.prototype.off = function (name, listener) {
+        if (!this.listeners[name]) {
+            return;
+        }
+        this.listeners[name] = listener ? this.listeners[name].filter(function (added) {
+            return added !== listener && added.listener !== listener;
+        }) : [];
+    };
+
+    /**
+     * Call the listeners of an event
+     * @param {string} name - Name of the event
+     * @param {*} [payload=] - Passed to the listeners
+     */
+    EventEmitter.prototype.emit = function (name, payload) {
+        var self = this;
+        (this.listeners[name] || []).forEach(function (listener) {
+            try {
+                listener(payload);
+            } catch (e) {
+                self.logger.error('Listener of ' + name + ' failed: ' + e.message);
+            }
+        });
+    };
+
+    return EventEmitter;
+}());
+
+module.exports = AMA.EventEmitter;
\ No newline at end of file
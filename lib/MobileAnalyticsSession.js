@@ -10,6 +10,7 @@
 var AMA = global.AMA;
 AMA.Storage = require('./StorageClients/LocalStorage.js');
 AMA.StorageKeys = require('./StorageClients/StorageKeys.js');
+AMA.StorageAdapter = require('./StorageClients/StorageAdapter.js');
 AMA.Util = require('./MobileAnalyticsUtilities.js');
 /**
  * @name AMA.Session
@@ -22,6 +23,8 @@ AMA.Util = require('./MobileAnalyticsUtilities.js');
  * @param {AMA.Session.ExpirationCallback=}   [options.expirationCallback] - Callback Function for when a session expires
  * @param {AMA.Client.Logger=} [options.logger=] - Object containing javascript style logger functions (passing console
  *                                                 will output to browser dev consoles)
+ * @param {AMA.StorageAdapter.Adapter=} [options.storage=AMA.Storage] - Storage adapter the session is persisted to
+ * @param {string=}     [options.storagePrefix=] - Prefix scoping the persisted session keys (see AMA.Client.Options)
  */
 /**
  * @callback AMA.Session.ExpirationCallback
@@ -50,24 +53,25 @@ AMA.Session = (function () {
         this.logger.log('[Function:(AWS.MobileAnalyticsClient)Session Constructor]' +
             (options ? '\noptions:' + JSON.stringify(options) : ''));
         this.options.expirationCallback = this.options.expirationCallback || AMA.Util.NOP;
+        this.storage = AMA.StorageAdapter.resolve(this.options.storage, AMA.Storage, this.logger);
         this.id = this.options.sessionId || AMA.Util.GUID();
         this.sessionLength = this.options.sessionLength || 600000; //Default session length is 10 minutes
         //Suffix the AMA.Storage Keys with Session Id to ensure proper scope
-        this.StorageKeys = {
+        this.StorageKeys = AMA.Util.scopeKeys({
             'SESSION_ID': AMA.StorageKeys.SESSION_ID + this.id,
             'SESSION_EXPIRATION': AMA.StorageKeys.SESSION_EXPIRATION + this.id,
             'SESSION_START_TIMESTAMP': AMA.StorageKeys.SESSION_START_TIMESTAMP + this.id
-        };
+        }, this.options.storagePrefix);
         this.startTimestamp = this.options.startTime ||
-            AMA.Storage.get(this.StorageKeys.SESSION_START_TIMESTAMP) ||
+            this.storage.get(this.StorageKeys.SESSION_START_TIMESTAMP) ||
             new Date().toISOString();
-        this.expirationDate = parseInt(AMA.Storage.get(this.StorageKeys.SESSION_EXPIRATION), 10);
+        this.expirationDate = parseInt(this.storage.get(this.StorageKeys.SESSION_EXPIRATION), 10);
         if (isNaN(this.expirationDate)) {
             this.expirationDate = (new Date().getTime() + this.sessionLength);
         }
-        AMA.Storage.set(this.StorageKeys.SESSION_ID, this.id);
-        AMA.Storage.set(this.StorageKeys.SESSION_EXPIRATION, this.expirationDate);
-        AMA.Storage.set(this.StorageKeys.SESSION_START_TIMESTAMP, this.startTimestamp);
+        this.storage.set(this.StorageKeys.SESSION_ID, this.id);
+        this.storage.set(this.StorageKeys.SESSION_EXPIRATION, this.expirationDate);
+        this.storage.set(this.StorageKeys.SESSION_START_TIMESTAMP, this.startTimestamp);
         this.sessionTimeoutReference = setTimeout(this.expireSession.bind(this), this.sessionLength);
     };
 
@@ -95,9 +99,9 @@ AMA.Session = (function () {
     Session.prototype.clearSession = function () {
         this.logger.log('[Function:(Session).clearSession]');
         clearTimeout(this.sessionTimeoutReference);
-        AMA.Storage.delete(this.StorageKeys.SESSION_ID);
-        AMA.Storage.delete(this.StorageKeys.SESSION_EXPIRATION);
-        AMA.Storage.delete(this.StorageKeys.SESSION_START_TIMESTAMP);
+        this.storage.delete(this.StorageKeys.SESSION_ID);
+        this.storage.delete(this.StorageKeys.SESSION_EXPIRATION);
+        this.storage.delete(this.StorageKeys.SESSION_START_TIMESTAMP);
     };
 
 
@@ -141,7 +145,7 @@ AMA.Session = (function () {
         this.logger.log('[Function:(Session).setSessionTimeout]' +  (timeout ? '\ntimeout:' + timeout : ''));
         clearTimeout(this.sessionTimeoutReference);
         this.expirationDate = timeout;
-        AMA.Storage.set(this.StorageKeys.SESSION_EXPIRATION, this.expirationDate);
+        this.storage.set(this.StorageKeys.SESSION_EXPIRATION, this.expirationDate);
         this.sessionTimeoutReference = setTimeout(this.expireSession.bind(this),
             this.expirationDate - (new Date()).getTime());
     };
@@ -17,6 +17,28 @@ AMA.Client = require('./MobileAnalyticsClient.js');
  * @typedef AMA.Manager.Options
  * @augments AMA.Client.Options
  * @property {AMA.Session.ExpirationCallback} [expirationCallback=] - Callback function to call when sessions expire
+ * @property {string} [beaconUrl=] - Proxy or pre-signed endpoint the queued events are sent to with
+ *                                   navigator.sendBeacon when the page is hidden or unloaded, see
+ *                                   AMA.Client.beaconEvents
+ * @property {Array} [plugins=] - Array of AMA.Manager.Plugin registered before the first session starts, see use
+ */
+
+/**
+ * @typedef AMA.Manager.Plugin
+ * @description Extends the manager through lifecycle hooks, every hook is optional. Hooks throwing an error are logged
+ *              and never interrupt the recording or the submission of events.
+ * @property {string} name - Unique name of the plugin, scoping its storage
+ * @property {Function} [init=] - init(api) called once the plugin is registered, api being {manager, storage, logger}:
+ *                                storage has the get / set / delete methods of a storage adapter with keys private to
+ *                                the plugin, logger prefixes the messages with the name of the plugin
+ * @property {AMA.Client.Middleware} [beforeRecord=] - beforeRecord(event, context) may mutate, replace or drop the
+ *                                                     events, like a middleware
+ * @property {Function} [afterRecord=] - afterRecord(event) called once an event is queued
+ * @property {Function} [beforeSubmit=] - beforeSubmit({batchId, destination, events}) called before a batch is sent
+ * @property {Function} [afterSubmit=] - afterSubmit(AMA.Client.BatchResult) called once a submission completed
+ * @property {Function} [sessionStart=] - sessionStart(session) called once a session started
+ * @property {Function} [sessionStop=] - sessionStop(session) called once a session stopped
+ * @property {Function} [destroy=] - destroy() called when the plugin is removed or the manager destroyed
  */
 
 /**
@@ -41,14 +63,19 @@ AMA.Manager = (function () {
         this.outputs = this.client.outputs;
 
         this.options.expirationCallback = this.options.expirationCallback || AMA.Util.NOP;
+        this.outputs.plugins = {};
         function checkForStoredSessions(context) {
-            AMA.Storage.each(function (key) {
-                if (key.indexOf(AMA.StorageKeys.SESSION_ID) === 0) {
+            context.client.storage.each(function (key) {
+                if (key.indexOf(context.client.StorageKeys.SESSION_ID) === 0) {
                     context.outputs.session = new AMA.Session({
-                        sessionId: AMA.Storage.get(key),
+                        sessionId: context.client.storage.get(key),
                         sessionLength: context.options.sessionLength,
+                        storage: context.client.storage,
+                        storagePrefix: context.options.storagePrefix,
                         expirationCallback: function (session) {
-                            var shouldExtend = context.options.expirationCallback(session);
+                            var shouldExtend;
+                            context.client.emitter.emit('session:expire', session);
+                            shouldExtend = context.options.expirationCallback(session);
                             if (shouldExtend === true || typeof shouldExtend === 'number') {
                                 return shouldExtend;
                             }
@@ -56,6 +83,7 @@ AMA.Manager = (function () {
                         }
                     });
                     if (new Date().getTime() > context.outputs.session.expirationDate) {
+                        context.client.emitter.emit('session:expire', context.outputs.session);
                         context.outputs.session.expireSession();
                         delete context.outputs.session;
                     }
@@ -63,9 +91,16 @@ AMA.Manager = (function () {
             });
         }
 
-        checkForStoredSessions(this);
-        if (!this.outputs.session) {
-            this.startSession();
+        if (this.options.beaconUrl) {
+            this.listenForPageHide();
+        }
+
+        (this.options.plugins || []).forEach(this.use, this);
+        if (this.client.getConsent() !== AMA.Client.CONSENT.DENIED) {
+            checkForStoredSessions(this);
+            if (!this.outputs.session) {
+                this.startSession();
+            }
         }
         this.client.submitEvents();
     };
@@ -81,12 +116,63 @@ AMA.Manager = (function () {
         return this.client.submitEvents(options);
     };
 
+    /**
+     * Submit every queued event and wait for the results
+     * @param {Object} [options=] - options for submitting events, see submitEvents, and the timeout of the retries
+     * @returns {Promise} Resolved with an array of AMA.Client.BatchResult
+     * @see AMA.Client.flush
+     */
+    Manager.prototype.flush = function (options) {
+        return this.client.flush(options);
+    };
+
+    /**
+     * Send the queued events to options.beaconUrl when the page is hidden (visibilitychange) or unloaded (pagehide),
+     * the last moments the events of a closing page can be delivered
+     */
+    Manager.prototype.listenForPageHide = function () {
+        var self = this;
+        if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') {
+            return;
+        }
+        this.outputs.pageHideListener = function (event) {
+            if (event.type === 'pagehide' || window.document.visibilityState === 'hidden') {
+                self.beaconEvents();
+            }
+        };
+        window.addEventListener('pagehide', this.outputs.pageHideListener);
+        if (window.document && typeof window.document.addEventListener === 'function') {
+            window.document.addEventListener('visibilitychange', this.outputs.pageHideListener);
+        }
+    };
+
+    /**
+     * Send the queued events to options.beaconUrl with navigator.sendBeacon
+     * @returns {Array} Array of batch indices that were sent
+     * @see AMA.Client.beaconEvents
+     */
+    Manager.prototype.beaconEvents = function () {
+        return this.client.beaconEvents(this.options.beaconUrl);
+    };
+
+    /**
+     * @returns {boolean} Whether the device is online, events are only queued while it is offline
+     */
+    Manager.prototype.isOnline = function () {
+        return this.client.isOnline();
+    };
+
     /**
      * Function to start a session
      * @returns {AMA.Client.Event} The start session event recorded
      */
     Manager.prototype.startSession = function () {
+        var event;
         this.client.logger.log('[Function:(AMA.Manager).startSession]');
+        if (this.client.getConsent() === AMA.Client.CONSENT.DENIED) {
+            this.client.logger.log('Consent denied, no session is started');
+            return null;
+        }
         if (this.outputs.session) {
             //Clear Session
             this.outputs.session.clearSession();
@@ -94,15 +180,21 @@ AMA.Manager = (function () {
         this.outputs.session = new AMA.Session({
             logger: this.client.options.logger,
             sessionLength: this.options.sessionLength,
+            storage: this.client.storage,
+            storagePrefix: this.options.storagePrefix,
             expirationCallback: function (session) {
-                var shouldExtend = this.options.expirationCallback(session);
+                var shouldExtend;
+                this.client.emitter.emit('session:expire', session);
+                shouldExtend = this.options.expirationCallback(session);
                 if (shouldExtend === true || typeof shouldExtend === 'number') {
                     return shouldExtend;
                 }
                 this.stopSession();
             }.bind(this)
         });
-        return this.recordEvent('_session.start');
+        event = this.recordEvent('_session.start');
+        this.client.emitter.emit('session:start', this.outputs.session);
+        return event;
     };
 
     /**
@@ -120,10 +212,16 @@ AMA.Manager = (function () {
      * @returns {AMA.Client.Event} The stop session event recorded
      */
     Manager.prototype.stopSession = function () {
+        var event;
         this.client.logger.log('[Function:(AMA.Manager).stopSession]');
+        if (!this.outputs.session) {
+            return null;
+        }
         this.outputs.session.stopSession();
         this.outputs.session.expireSession(AMA.Util.NOP);
-        return this.recordEvent('_session.stop');
+        event = this.recordEvent('_session.stop');
+        this.client.emitter.emit('session:stop', this.outputs.session);
+        return event;
     };
 
     /**
@@ -147,6 +245,320 @@ AMA.Manager = (function () {
         return this.client.createEvent(eventType, this.outputs.session, attributes, metrics);
     };
 
+    /**
+     * Subscribe to a lifecycle event: the events of AMA.Client.on, plus session:start, session:stop and session:expire
+     * (AMA.Session)
+     * @param {string} name - Name of the event
+     * @param {Function} listener - Called with the payload of the event
+     * @returns {Function} Unsubscribes the listener
+     */
+    Manager.prototype.on = function (name, listener) {
+        return this.client.on(name, listener);
+    };
+
+    /**
+     * Subscribe to the next occurrence of a lifecycle event, see on
+     * @param {string} name - Name of the event
+     * @param {Function} listener - Called with the payload of the event
+     * @returns {Function} Unsubscribes the listener
+     */
+    Manager.prototype.once = function (name, listener) {
+        return this.client.once(name, listener);
+    };
+
+    /**
+     * Unsubscribe a listener, or every listener of the event when none is given
+     * @param {string} name - Name of the event
+     * @param {Function} [listener=] - The listener passed to on or once
+     */
+    Manager.prototype.off = function (name, listener) {
+        this.client.off(name, listener);
+    };
+
+    /**
+     * @returns {string} The consent of the user, see setConsent
+     */
+    Manager.prototype.getConsent = function () {
+        return this.client.getConsent();
+    };
+
+    /**
+     * Record and persist the consent of the user to analytics, see AMA.Client.setConsent. Denying consent also ends
+     * the current session without recording it, granting it again starts a new session.
+     * @param {string} consent - 'granted', 'pending' or 'denied'
+     * @returns {boolean} Whether the consent was valid
+     */
+    Manager.prototype.setConsent = function (consent) {
+        if (!this.client.setConsent(consent)) {
+            return false;
+        }
+        if (consent === AMA.Client.CONSENT.DENIED && this.outputs.session) {
+            this.outputs.session.clearSession();
+            delete this.outputs.session;
+        } else if (consent !== AMA.Client.CONSENT.DENIED && !this.outputs.session) {
+            this.startSession();
+        }
+        return true;
+    };
+
+    /**
+     * Forget everything the SDK stored, for example when a user exercises the right to be forgotten: end the current
+     * session without recording it, then reset the client (see AMA.Client.reset) and start a fresh session
+     * @param {Object} [options=] - options for resetting the manager
+     * @param {boolean} [options.newClientId=true] - Replace the client id, false keeps the current one
+     * @param {boolean} [options.startSession=true] - Start a new session once reset
+     * @returns {AMA.Session} The new session, undefined when none was started
+     */
+    Manager.prototype.reset = function (options) {
+        options = options || {};
+        this.client.logger.log('[Function:(AMA.Manager).reset]');
+        if (this.outputs.session) {
+            this.outputs.session.clearSession();
+            delete this.outputs.session;
+        }
+        this.client.reset(options);
+        if (options.startSession !== false && this.startSession()) {
+            //The client submitted its empty queue when it was reset, the new session is submitted right away
+            this.outputs.lastSubmitTimestamp = null;
+            this.client.submitEvents();
+        }
+        return this.outputs.session;
+    };
+
+    /**
+     * Type of the event linking the client id to the user id, see identify
+     */
+    Manager.ALIAS_EVENT_TYPE = '_identity.alias';
+
+    Manager.PLUGIN_STORAGE_KEY = 'AWSMobileAnalyticsPluginStorage';
+
+    /**
+     * Register a plugin and call its init hook. A plugin whose init hook throws an error is removed.
+     * @param {AMA.Manager.Plugin} plugin
+     * @returns {boolean} Whether the plugin was registered
+     */
+    Manager.prototype.use = function (plugin) {
+        var self = this, logger, registration;
+        if (!plugin || typeof plugin.name !== 'string' || plugin.name.length === 0) {
+            this.client.logger.error('Plugins must have a name');
+            return false;
+        }
+        if (this.outputs.plugins[plugin.name]) {
+            this.client.logger.error('Plugin ' + plugin.name + ' is already registered');
+            return false;
+        }
+        this.client.logger.log('[Function:(AMA.Manager).use]\nplugin:' + plugin.name);
+        logger = {};
+        ['log', 'info', 'warn', 'error'].forEach(function (level) {
+            logger[level] = function (message) {
+                var args = Array.prototype.slice.call(arguments, 1);
+                self.client.logger[level].apply(null, ['[Plugin:' + plugin.name + '] ' + message].concat(args));
+            };
+        });
+        function scopeKey(key) {
+            return AMA.Util.scopeKey(Manager.PLUGIN_STORAGE_KEY + ':' + plugin.name + ':' + key,
+                self.options.storagePrefix);
+        }
+        function hook(name) {
+            return function (payload) {
+                try {
+                    plugin[name](payload);
+                } catch (e) {
+                    logger.error(name + ' failed: ' + e.message);
+                }
+            };
+        }
+        registration = { plugin: plugin, logger: logger, unsubscribe: [], middleware: null };
+        if (typeof plugin.beforeRecord === 'function') {
+            registration.middleware = function (event, context) {
+                return plugin.beforeRecord(event, context);
+            };
+            this.client.addMiddleware(registration.middleware);
+        }
+        [['afterRecord', 'event:recorded'], ['beforeSubmit', 'batch:submitting'], ['afterSubmit', 'batch:submitted'],
+            ['afterSubmit', 'batch:failed'], ['sessionStart', 'session:start'], ['sessionStop', 'session:stop']]
+            .forEach(function (binding) {
+                if (typeof plugin[binding[0]] === 'function') {
+                    registration.unsubscribe.push(self.client.on(binding[1], hook(binding[0])));
+                }
+            });
+        this.outputs.plugins[plugin.name] = registration;
+        if (typeof plugin.init === 'function') {
+            try {
+                plugin.init({
+                    manager: this,
+                    logger: logger,
+                    storage: {
+                        get: function (key) {
+                            return self.client.storage.get(scopeKey(key));
+                        },
+                        set: function (key, value) {
+                            return self.client.storage.set(scopeKey(key), value);
+                        },
+                        delete: function (key) {
+                            return self.client.storage.delete(scopeKey(key));
+                        }
+                    }
+                });
+            } catch (e) {
+                logger.error('init failed: ' + e.message);
+                this.removePlugin(plugin.name, true);
+                return false;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * Unregister a plugin and call its destroy hook
+     * @param {string} name - Name of the plugin
+     * @param {boolean} [skipDestroy=false] - Do not call the destroy hook, for plugins that failed to initialize
+     * @returns {boolean} Whether the plugin was registered
+     */
+    Manager.prototype.removePlugin = function (name, skipDestroy) {
+        var registration = this.outputs.plugins[name];
+        if (!registration) {
+            return false;
+        }
+        delete this.outputs.plugins[name];
+        registration.unsubscribe.forEach(function (unsubscribe) {
+            unsubscribe();
+        });
+        if (registration.middleware) {
+            this.client.removeMiddleware(registration.middleware);
+        }
+        if (!skipDestroy && typeof registration.plugin.destroy === 'function') {
+            try {
+                registration.plugin.destroy();
+            } catch (e) {
+                registration.logger.error('destroy failed: ' + e.message);
+            }
+        }
+        return true;
+    };
+
+    /**
+     * Remove every plugin, stop listening for the page being hidden and stop the client (see AMA.Client.destroy). The
+     * queued events stay in storage for the next manager.
+     */
+    Manager.prototype.destroy = function () {
+        this.client.logger.log('[Function:(AMA.Manager).destroy]');
+        Object.keys(this.outputs.plugins).forEach(function (name) {
+            this.removePlugin(name);
+        }, this);
+        if (this.outputs.pageHideListener) {
+            window.removeEventListener('pagehide', this.outputs.pageHideListener);
+            if (window.document && typeof window.document.removeEventListener === 'function') {
+                window.document.removeEventListener('visibilitychange', this.outputs.pageHideListener);
+            }
+            delete this.outputs.pageHideListener;
+        }
+        this.client.destroy();
+    };
+
+    /**
+     * Append a middleware to the chain run on every event before it is validated
+     * @param {AMA.Client.Middleware} middleware
+     */
+    Manager.prototype.addMiddleware = function (middleware) {
+        this.client.addMiddleware(middleware);
+    };
+
+    /**
+     * @param {AMA.Client.Middleware} middleware - A middleware added before
+     * @returns {boolean} Whether the middleware was removed from the chain
+     */
+    Manager.prototype.removeMiddleware = function (middleware) {
+        return this.client.removeMiddleware(middleware);
+    };
+
+    /**
+     * Set an attribute applied to every event recorded from now on, or to the events matching an event type pattern
+     * (see AMA.Client.setGlobalAttribute)
+     * @param {string} name - Name of the attribute
+     * @param {*} value - Value of the attribute
+     * @param {string} [eventType=] - Event type pattern, exact or with * wildcards
+     * @returns {boolean} Whether the attribute was valid
+     */
+    Manager.prototype.setGlobalAttribute = function (name, value, eventType) {
+        return this.client.setGlobalAttribute(name, value, eventType);
+    };
+
+    /**
+     * @param {string} name - Name of a global attribute
+     * @param {string} [eventType=] - The event type pattern the attribute was set for
+     * @returns {boolean} Whether the attribute was set
+     */
+    Manager.prototype.removeGlobalAttribute = function (name, eventType) {
+        return this.client.removeGlobalAttribute(name, eventType);
+    };
+
+    /**
+     * Set a metric applied to every event recorded from now on, or to the events matching an event type pattern
+     * (see AMA.Client.setGlobalMetric)
+     * @param {string} name - Name of the metric
+     * @param {number} value - Value of the metric
+     * @param {string} [eventType=] - Event type pattern, exact or with * wildcards
+     * @returns {boolean} Whether the metric was valid
+     */
+    Manager.prototype.setGlobalMetric = function (name, value, eventType) {
+        return this.client.setGlobalMetric(name, value, eventType);
+    };
+
+    /**
+     * @param {string} name - Name of a global metric
+     * @param {string} [eventType=] - The event type pattern the metric was set for
+     * @returns {boolean} Whether the metric was set
+     */
+    Manager.prototype.removeGlobalMetric = function (name, eventType) {
+        return this.client.removeGlobalMetric(name, eventType);
+    };
+
+    /**
+     * Remove every global attribute and metric, scoped or not
+     */
+    Manager.prototype.clearGlobals = function () {
+        this.client.clearGlobals();
+    };
+
+    /**
+     * @returns {AMA.Client.Identity} The identified user, null while anonymous
+     */
+    Manager.prototype.getIdentity = function () {
+        return this.client.getIdentity();
+    };
+
+    /**
+     * Attach a user id to the events recorded from now on and persist it (see AMA.Client.identify). When the user
+     * changes, an _identity.alias event links the client id to the user id, with the traits as attributes.
+     * @param {string} userId - Stable id of the user across devices
+     * @param {Object} [traits=] - Attributes of the user
+     * @returns {boolean} Whether the user id was valid
+     */
+    Manager.prototype.identify = function (userId, traits) {
+        var identity = this.client.getIdentity();
+        if (!this.client.identify(userId, traits)) {
+            return false;
+        }
+        if (!identity || identity.userId !== userId) {
+            this.recordEvent(Manager.ALIAS_EVENT_TYPE, AMA.Util.copy({
+                clientId: (this.options.clientContext.client || {}).client_id,
+                userId: userId
+            }, traits || {}));
+        }
+        return true;
+    };
+
+    /**
+     * Go back to anonymous, with a new client id unless options.newClientId is false (see AMA.Client.logout)
+     * @param {Object} [options=] - options for logging out
+     * @param {boolean} [options.newClientId=true] - Replace the client id, false keeps the current one
+     * @returns {boolean} Whether a user was logged out
+     */
+    Manager.prototype.logout = function (options) {
+        return this.client.logout(options);
+    };
+
     /**
      * Function to record a custom event
      * @param eventType - Custom event type name
@@ -0,0 +1,145 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AMA = global.AMA;
+AMA.Util = require('./MobileAnalyticsUtilities.js');
+
+/**
+ * @name AMA.TabCoordinator
+ * @namespace AMA.TabCoordinator
+ * @constructor
+ * @description Elects a single leader among the tabs of an origin using a lock key with a heartbeat in
+ *              window.localStorage. The leader renews its lease on every heartbeat, another tab takes over once the
+ *              lease expires or the leader releases it. Without localStorage (Node.js, private modes) every
+ *              coordinator is its own leader.
+ * @param {Object=} [options=] - A configuration map for the AMA.TabCoordinator
+ * @param {string=} [options.lockKey=AWSMobileAnalyticsLeader] - The localStorage key holding the lock
+ * @param {number=} [options.heartbeatInterval=2000] - Milliseconds between two lease renewals
+ * @param {number=} [options.leaseDuration=5000] - Milliseconds a lease is valid for without renewal
+ * @param {AMA.Client.Logger=} [options.logger=] - Object containing javascript style logger functions
+ */
+AMA.TabCoordinator = (function () {
+    'use strict';
+    /**
+     * @lends AMA.TabCoordinator
+     */
+    var TabCoordinator = function (options) {
+        this.options = options || {};
+        this.options.lockKey = this.options.lockKey || 'AWSMobileAnalyticsLeader';
+        this.options.heartbeatInterval = this.options.heartbeatInterval || 2000;
+        this.options.leaseDuration = this.options.leaseDuration || 5000;
+        this.logger = this.options.logger || { log: AMA.Util.NOP };
+        this.id = AMA.Util.GUID();
+        this.timeoutReference = null;
+        this.leader = false;
+        this.release = this.release.bind(this);
+    };
+
+    TabCoordinator.prototype.localStorage = function () {
+        try {
+            return (typeof window !== 'undefined' && window.localStorage) || null;
+        } catch (localStorageError) {
+            return null;
+        }
+    };
+
+    TabCoordinator.prototype.readLock = function () {
+        try {
+            return JSON.parse(this.localStorage().getItem(this.options.lockKey)) || null;
+        } catch (readLockError) {
+            //Corrupted lock, treat it as free
+            return null;
+        }
+    };
+
+    /**
+     * Start renewing the lease and release it when the page is hidden for good
+     * @returns {boolean} Whether this tab is the leader
+     */
+    TabCoordinator.prototype.start = function () {
+        this.logger.log('[Function:(AMA.TabCoordinator).start]');
+        if (this.localStorage() && typeof window.addEventListener === 'function') {
+            window.addEventListener('pagehide', this.release);
+        }
+        return this.heartbeat();
+    };
+
+    /**
+     * Stop renewing the lease and release it
+     */
+    TabCoordinator.prototype.stop = function () {
+        this.logger.log('[Function:(AMA.TabCoordinator).stop]');
+        clearTimeout(this.timeoutReference);
+        this.timeoutReference = null;
+        if (this.localStorage() && typeof window.removeEventListener === 'function') {
+            window.removeEventListener('pagehide', this.release);
+        }
+        this.release();
+    };
+
+    /**
+     * Acquire or renew the lease when it is free, expired or already held by this tab, then schedule the next
+     * heartbeat
+     * @returns {boolean} Whether this tab is the leader
+     */
+    TabCoordinator.prototype.heartbeat = function () {
+        clearTimeout(this.timeoutReference);
+        if (this.localStorage()) {
+            this.timeoutReference = setTimeout(this.heartbeat.bind(this), this.options.heartbeatInterval);
+        }
+        return this.isLeader();
+    };
+
+    /**
+     * Whether this tab is the leader, acquiring or renewing the lease when possible
+     * @returns {boolean}
+     */
+    TabCoordinator.prototype.isLeader = function () {
+        var storage = this.localStorage(), lock, now = new Date().getTime(), wasLeader = this.leader;
+        if (!storage) {
+            this.leader = true;
+            return true;
+        }
+        lock = this.readLock();
+        if (!lock || lock.id === this.id || lock.expires <= now) {
+            try {
+                storage.setItem(this.options.lockKey,
+                    JSON.stringify({ id: this.id, expires: now + this.options.leaseDuration }));
+                //Read back, another tab may have written the lock in the meantime
+                lock = this.readLock();
+            } catch (writeLockError) {
+                this.logger.log('Error writing the leader lock: ' + JSON.stringify(writeLockError));
+            }
+        }
+        this.leader = !!lock && lock.id === this.id;
+        if (this.leader !== wasLeader) {
+            this.logger.log(this.leader ? 'Tab ' + this.id + ' became leader' : 'Tab ' + this.id + ' is no longer leader');
+        }
+        return this.leader;
+    };
+
+    /**
+     * Give up the lease so another tab can take over on its next heartbeat
+     */
+    TabCoordinator.prototype.release = function () {
+        var lock = this.localStorage() && this.readLock();
+        this.leader = false;
+        if (lock && lock.id === this.id) {
+            try {
+                this.localStorage().removeItem(this.options.lockKey);
+            } catch (releaseLockError) {
+                this.logger.log('Error releasing the leader lock: ' + JSON.stringify(releaseLockError));
+            }
+        }
+    };
+
+    return TabCoordinator;
+}());
+
+module.exports = AMA.TabCoordinator;
\ No newline at end of file
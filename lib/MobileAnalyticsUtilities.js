@@ -39,11 +39,23 @@ AMA.Util = (function () {
     function guid() {
         return s4() + s4() + '-' + s4() + '-' + s4() + '-' + s4() + '-' + s4() + s4() + s4();
     }
-    function getClientId() {
-        if (AMA.Storage.get(AMA.StorageKeys.CLIENT_ID) === undefined) {
-            AMA.Storage.set(AMA.StorageKeys.CLIENT_ID, guid());
+    function scopeKey(key, prefix) {
+        return prefix ? prefix + ':' + key : key;
+    }
+    function scopeKeys(keys, prefix) {
+        var scoped = {};
+        Object.keys(keys).forEach(function (name) {
+            scoped[name] = scopeKey(keys[name], prefix);
+        });
+        return scoped;
+    }
+    function getClientId(storage, prefix) {
+        var key = scopeKey(AMA.StorageKeys.CLIENT_ID, prefix);
+        storage = storage || AMA.Storage;
+        if (storage.get(key) === undefined) {
+            storage.set(key, guid());
         }
-        return AMA.Storage.get(AMA.StorageKeys.CLIENT_ID);
+        return storage.get(key);
     }
     function mergeObjects(override, initial) {
         Object.keys(initial).forEach(function (key) {
@@ -56,6 +68,18 @@ AMA.Util = (function () {
     function copy(original, extension) {
         return mergeObjects(JSON.parse(JSON.stringify(original)), extension);
     }
+    /**
+     * Matches a value against a pattern which is either an exact value or contains * wildcards
+     * (for example 'checkout.*' or '*.error')
+     */
+    function matchesPattern(pattern, value) {
+        if (pattern.indexOf('*') < 0) {
+            return pattern === value;
+        }
+        return new RegExp('^' + pattern.split('*').map(function (part) {
+            return part.replace(/[\-\[\]\/\{\}\(\)\+\?\.\\\^\$\|]/g, '\\$&');
+        }).join('.*') + '$').test(value);
+    }
     function NOP() {
         return undefined;
     }
@@ -64,8 +88,11 @@ AMA.Util = (function () {
         GUID: guid,
         GetClientId: getClientId,
         getRequestBodySize: utf8ByteLength,
+        matchesPattern: matchesPattern,
         mergeObjects: mergeObjects,
-        NOP: NOP
+        NOP: NOP,
+        scopeKey: scopeKey,
+        scopeKeys: scopeKeys
     };
 }());
 
@@ -0,0 +1,199 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var nodeCrypto = require('crypto');
+var AMA = global.AMA;
+
+/**
+ * @typedef AMA.CryptoProvider.Provider
+ * @description The contract of the `cryptoProvider` option of the storage adapters. Ciphertexts are strings so they
+ *              can be stored as is. Providers may call back synchronously, AMA.FileStorage requires it.
+ * @property {Function} encrypt - encrypt(plaintext, callback) calls callback(err, ciphertext)
+ * @property {Function} decrypt - decrypt(ciphertext, callback) calls callback(err, plaintext), with an error when the
+ *                                key is wrong or the ciphertext was tampered with
+ */
+
+/**
+ * @name AMA.CryptoProvider
+ * @namespace AMA.CryptoProvider
+ * @description AES-256-GCM providers used to encrypt persisted caches. The AES key is the SHA-256 digest of the
+ *              encryption key, which should therefore have a high entropy. Both providers use the same format
+ *              (version, IV and ciphertext followed by the authentication tag) so a cache encrypted by one can be
+ *              decrypted by the other.
+ */
+AMA.CryptoProvider = (function () {
+    'use strict';
+    var VERSION = 'AMA1',
+        IV_LENGTH = 12,
+        TAG_LENGTH = 16;
+
+    function format(iv, ciphertext) {
+        return [VERSION, iv, ciphertext].join(':');
+    }
+
+    function parse(payload) {
+        var parts = typeof payload === 'string' ? payload.split(':') : [];
+        if (parts.length !== 3 || parts[0] !== VERSION) {
+            throw new Error('Unknown encrypted payload format');
+        }
+        return { iv: parts[1], ciphertext: parts[2] };
+    }
+
+    function encodeUtf8(text) {
+        var binary = unescape(encodeURIComponent(text)), bytes = new Uint8Array(binary.length), i;
+        for (i = 0; i < binary.length; i += 1) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function decodeUtf8(bytes) {
+        return decodeURIComponent(escape(toBinary(bytes)));
+    }
+
+    function toBinary(bytes) {
+        var binary = '', i;
+        bytes = new Uint8Array(bytes);
+        //Chunked, apply overflows the stack on large caches
+        for (i = 0; i < bytes.length; i += 8192) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
+        return binary;
+    }
+
+    function fromBase64(text) {
+        var binary = atob(text), bytes = new Uint8Array(binary.length), i;
+        for (i = 0; i < binary.length; i += 1) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * @name AMA.CryptoProvider.WebCrypto
+     * @constructor
+     * @implements AMA.CryptoProvider.Provider
+     * @description Asynchronous provider using the WebCrypto API of browsers
+     * @param {string} encryptionKey - Key the AES key is derived from
+     * @param {Object=} [webCrypto=window.crypto] - WebCrypto implementation
+     */
+    var WebCrypto = function (encryptionKey, webCrypto) {
+        var subtle;
+        this.webCrypto = webCrypto || window.crypto;
+        subtle = this.webCrypto.subtle;
+        this.key = subtle.digest('SHA-256', encodeUtf8(encryptionKey)).then(function (digest) {
+            return subtle.importKey('raw', digest, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+        });
+    };
+
+    WebCrypto.prototype.encrypt = function (plaintext, callback) {
+        var subtle = this.webCrypto.subtle, iv = this.webCrypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        this.key.then(function (key) {
+            return subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, encodeUtf8(plaintext));
+        }).then(function (ciphertext) {
+            callback(null, format(btoa(toBinary(iv)), btoa(toBinary(ciphertext))));
+        }, function (err) {
+            callback(err || new Error('Encryption failed'));
+        });
+    };
+
+    WebCrypto.prototype.decrypt = function (payload, callback) {
+        var subtle = this.webCrypto.subtle, parsed;
+        try {
+            parsed = parse(payload);
+        } catch (parseError) {
+            return callback(parseError);
+        }
+        this.key.then(function (key) {
+            return subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(parsed.iv) }, key, fromBase64(parsed.ciphertext));
+        }).then(function (plaintext) {
+            callback(null, decodeUtf8(plaintext));
+        }, function (err) {
+            callback(err || new Error('Decryption failed'));
+        });
+    };
+
+    /**
+     * @name AMA.CryptoProvider.NodeCrypto
+     * @constructor
+     * @implements AMA.CryptoProvider.Provider
+     * @description Synchronous provider using the crypto module of Node.js
+     * @param {string} encryptionKey - Key the AES key is derived from
+     */
+    var NodeCrypto = function (encryptionKey) {
+        this.key = nodeCrypto.createHash('sha256').update(encryptionKey, 'utf8').digest();
+    };
+
+    NodeCrypto.prototype.encrypt = function (plaintext, callback) {
+        var iv, cipher, ciphertext;
+        try {
+            iv = nodeCrypto.randomBytes(IV_LENGTH);
+            cipher = nodeCrypto.createCipheriv('aes-256-gcm', this.key, iv);
+            ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+        } catch (encryptError) {
+            return callback(encryptError);
+        }
+        callback(null, format(iv.toString('base64'), ciphertext.toString('base64')));
+    };
+
+    NodeCrypto.prototype.decrypt = function (payload, callback) {
+        var parsed, ciphertext, decipher, plaintext;
+        try {
+            parsed = parse(payload);
+            ciphertext = Buffer.from(parsed.ciphertext, 'base64');
+            if (ciphertext.length < TAG_LENGTH) {
+                throw new Error('Encrypted payload is truncated');
+            }
+            decipher = nodeCrypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(parsed.iv, 'base64'));
+            decipher.setAuthTag(ciphertext.slice(ciphertext.length - TAG_LENGTH));
+            plaintext = decipher.update(ciphertext.slice(0, ciphertext.length - TAG_LENGTH), null, 'utf8') +
+                decipher.final('utf8');
+        } catch (decryptError) {
+            return callback(decryptError);
+        }
+        callback(null, plaintext);
+    };
+
+    /**
+     * Creates the provider supported by the current environment, WebCrypto in browsers and crypto in Node.js
+     * @param {string} encryptionKey - Key the AES key is derived from
+     * @returns {AMA.CryptoProvider.Provider} null when no AES-GCM implementation is available
+     */
+    function create(encryptionKey) {
+        if (typeof window !== 'undefined' && window.crypto && window.crypto.subtle) {
+            return new WebCrypto(encryptionKey);
+        }
+        if (nodeCrypto && typeof nodeCrypto.createCipheriv === 'function') {
+            return new NodeCrypto(encryptionKey);
+        }
+        return null;
+    }
+
+    /**
+     * @param {*} value - A stored value
+     * @returns {boolean} Whether the value has the format of the payloads encrypted by the providers
+     */
+    function isPayload(value) {
+        try {
+            parse(value);
+        } catch (parseError) {
+            return false;
+        }
+        return true;
+    }
+
+    return {
+        WebCrypto: WebCrypto,
+        NodeCrypto: NodeCrypto,
+        create: create,
+        isPayload: isPayload
+    };
+}());
+
+module.exports = AMA.CryptoProvider;
\ No newline at end of file
@@ -0,0 +1,224 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var AMA = global.AMA;
+AMA.Util = require('../MobileAnalyticsUtilities.js');
+AMA.CryptoProvider = require('./CryptoProvider.js');
+AMA.StorageMigrations = require('./StorageMigrations.js');
+
+/**
+ * @name AMA.FileStorage
+ * @namespace AMA.FileStorage
+ * @constructor
+ * @implements AMA.StorageAdapter.Adapter
+ * @description Node.js storage adapter persisting the cache to a file. Every write goes to a temporary file which is
+ *              then renamed over the storage file, so a crash never leaves a partially written cache behind.
+ * @param {Object=} [options=] - A configuration map for the file storage adapter
+ * @param {string=} [options.directory=process.cwd()] - Directory the storage file is written to, created if missing
+ * @param {string=} [options.fileName=AWSMobileAnalyticsStorage.json] - Name of the storage file
+ * @param {string=} [options.format=json] - 'json' to store the cache as one JSON document, 'ndjson' to store one
+ *                                          key per line (a corrupted line then only loses its own key)
+ * @param {string=} [options.encryptionKey=] - Key used to encrypt the file (every line in ndjson format) with
+ *                                             AES-GCM, a file that cannot be decrypted is discarded like a corrupted one
+ * @param {AMA.CryptoProvider.Provider=} [options.cryptoProvider=AMA.CryptoProvider.NodeCrypto] - Custom provider
+ *                                             encrypting the file, it must call back synchronously
+ * @param {AMA.Client.Logger=} [options.logger=] - Object containing javascript style logger functions
+ */
+AMA.FileStorage = (function () {
+    'use strict';
+    /**
+     * @lends AMA.FileStorage
+     */
+    var FileStorage = function (options) {
+        this.options = options || {};
+        this.options.directory = this.options.directory || process.cwd();
+        this.options.fileName = this.options.fileName || 'AWSMobileAnalyticsStorage.json';
+        this.options.format = this.options.format === 'ndjson' ? 'ndjson' : 'json';
+        this.type = 'FILE';
+        this.id = AMA.Util.GUID();
+        this.logger = this.options.logger || null;
+        this.filePath = path.join(this.options.directory, this.options.fileName);
+        this.crypto = this.options.cryptoProvider ||
+            (this.options.encryptionKey ? new AMA.CryptoProvider.NodeCrypto(this.options.encryptionKey) : null);
+        this.cache = {};
+        this.loadFile();
+    };
+
+    FileStorage.prototype.log = function (message) {
+        if (this.logger) { this.logger.log(message); }
+    };
+
+    FileStorage.prototype.ensureDirectory = function (directory) {
+        if (fs.existsSync(directory)) {
+            return;
+        }
+        this.ensureDirectory(path.dirname(directory));
+        fs.mkdirSync(directory);
+    };
+
+    /**
+     * Runs the crypto provider, which must call back synchronously, when the file is encrypted
+     * @param {string} operation - 'encrypt' or 'decrypt'
+     * @param {string} text
+     * @returns {string}
+     */
+    FileStorage.prototype.transform = function (operation, text) {
+        var error = null, result;
+        if (!this.crypto) {
+            return text;
+        }
+        this.crypto[operation](text, function (err, transformed) {
+            error = err;
+            result = transformed;
+        });
+        if (error) {
+            throw error;
+        }
+        if (result === undefined) {
+            throw new Error('AMA.FileStorage requires a synchronous crypto provider');
+        }
+        return result;
+    };
+
+    FileStorage.prototype.serialize = function () {
+        var self = this;
+        if (this.options.format === 'ndjson') {
+            return Object.keys(this.cache).map(function (key) {
+                return self.transform('encrypt', JSON.stringify({ key: key, value: self.cache[key] }));
+            }).join('\n') + '\n';
+        }
+        return this.transform('encrypt', JSON.stringify(this.cache));
+    };
+
+    FileStorage.prototype.deserialize = function (contents) {
+        var cache = {}, self = this;
+        if (this.options.format === 'ndjson') {
+            contents.split('\n').forEach(function (line, index) {
+                var entry;
+                if (!line) {
+                    return;
+                }
+                try {
+                    entry = JSON.parse(self.transform('decrypt', line));
+                    cache[entry.key] = entry.value;
+                } catch (parseLineError) {
+                    self.log('Discarding corrupted line ' + (index + 1) + ' of ' + self.filePath);
+                }
+            });
+            return cache;
+        }
+        return JSON.parse(this.transform('decrypt', contents));
+    };
+
+    FileStorage.prototype.loadFile = function () {
+        var contents;
+        this.log('[Function:(AMA.FileStorage).loadFile]');
+        this.cache = {};
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+            contents = fs.readFileSync(this.filePath, 'utf8');
+        } catch (loadFileError) {
+            this.log('Error loading ' + this.filePath + ': ' + loadFileError);
+            return;
+        }
+        if (contents) {
+            //Try to parse, if corrupt delete
+            try {
+                this.cache = this.deserialize(contents);
+            } catch (parseJSONError) {
+                //Corrupted stored cache (or encrypted with another key), delete it
+                this.log('Discarding corrupted ' + this.filePath + ': ' + parseJSONError);
+                this.clearFile();
+                return;
+            }
+        }
+        if (AMA.StorageMigrations.migrate(this.cache, this.logger)) {
+            this.saveToFile();
+        }
+    };
+
+    FileStorage.prototype.saveToFile = function () {
+        var temporaryPath = this.filePath + '.' + process.pid + '.tmp';
+        this.log('[Function:(AMA.FileStorage).saveToFile]');
+        try {
+            this.ensureDirectory(this.options.directory);
+            fs.writeFileSync(temporaryPath, this.serialize());
+            fs.renameSync(temporaryPath, this.filePath);
+            return true;
+        } catch (saveToFileError) {
+            this.log('Error saving to ' + this.filePath + ': ' + saveToFileError);
+            try {
+                fs.unlinkSync(temporaryPath);
+            } catch (ignore) {
+                //The temporary file was never written
+            }
+            return false;
+        }
+    };
+
+    FileStorage.prototype.clearFile = function () {
+        this.log('[Function:(AMA.FileStorage).clearFile]');
+        this.cache = {};
+        AMA.StorageMigrations.migrate(this.cache, this.logger);
+        try {
+            if (fs.existsSync(this.filePath)) {
+                fs.unlinkSync(this.filePath);
+            }
+        } catch (clearFileError) {
+            this.log('Error clearing ' + this.filePath + ': ' + clearFileError);
+        }
+    };
+
+    FileStorage.prototype.get = function (key) {
+        return this.cache[key];
+    };
+
+    FileStorage.prototype.set = function (key, value) {
+        this.cache[key] = value;
+        return this.saveToFile();
+    };
+
+    FileStorage.prototype.delete = function (key) {
+        delete this.cache[key];
+        return this.saveToFile();
+    };
+
+    FileStorage.prototype.each = function (callback) {
+        var key;
+        for (key in this.cache) {
+            if (this.cache.hasOwnProperty(key)) {
+                callback(key, this.cache[key]);
+            }
+        }
+    };
+
+    FileStorage.prototype.reload = function () {
+        this.loadFile();
+    };
+
+    FileStorage.prototype.clear = function () {
+        this.clearFile();
+    };
+
+    FileStorage.prototype.setLogger = function (logFunction) {
+        this.logger = logFunction;
+    };
+
+    FileStorage.prototype.toJSON = function () {
+        return { type: this.type, id: this.id, filePath: this.filePath };
+    };
+
+    return FileStorage;
+}());
+
+module.exports = AMA.FileStorage;
\ No newline at end of file
@@ -0,0 +1,578 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AMA = global.AMA;
+AMA.Util = require('../MobileAnalyticsUtilities.js');
+AMA.StorageMigrations = require('./StorageMigrations.js');
+AMA.StorageKeys = require('./StorageKeys.js');
+require('./LocalStorage.js');
+
+/**
+ * @name AMA.IndexedDBStorage
+ * @namespace AMA.IndexedDBStorage
+ * @constructor
+ * @implements AMA.StorageAdapter.Adapter
+ * @description Storage adapter backed by IndexedDB. Reads are served from an in memory cache, writes are persisted
+ *              asynchronously. Arrays (such as the event queue) are stored one record per item and objects (such as
+ *              the batch map) one record per property, so only the items that changed since the last write are
+ *              persisted. Items of a stored array and array properties of a stored object are treated as immutable.
+ *              The cache is loaded asynchronously: wait for {@link AMA.IndexedDBStorage#ready} before passing the
+ *              adapter to AMA.Client or AMA.Manager. On load, an existing localStorage blob written by AMA.Storage is
+ *              imported and removed. The cache does not pick up the writes of other tabs (there is no sync method),
+ *              so tabs are not coordinated with this adapter: give every tab its own databaseName.
+ * @param {Object=}  [options=] - A configuration map for the IndexedDB adapter
+ * @param {string=}  [options.databaseName=AWSMobileAnalytics] - Name of the IndexedDB database
+ * @param {Object=}  [options.indexedDB=window.indexedDB] - IndexedDB factory to use
+ * @param {boolean=} [options.migrateLocalStorage=true] - Import the localStorage cache of AMA.Storage on load
+ * @param {string=}  [options.storageKey=AWSMobileAnalyticsStorage] - storageKey of the AMA.LocalStorage to import
+ * @param {AMA.Client.Logger=} [options.logger=] - Object containing javascript style logger functions
+ */
+AMA.IndexedDBStorage = (function () {
+    'use strict';
+    var KEYS_STORE = 'keys',
+        ENTRIES_STORE = 'entries';
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function kindOf(value) {
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        return isPlainObject(value) ? 'object' : 'value';
+    }
+
+    //Nested objects may be mutated in place so they are compared serialized, arrays are treated as immutable
+    function snapshotMembers(value) {
+        var members = {};
+        Object.keys(value).forEach(function (name) {
+            members[name] = isPlainObject(value[name]) ? JSON.stringify(value[name]) : value[name];
+        });
+        return members;
+    }
+
+    function sameMember(snapshot, current) {
+        if (isPlainObject(current)) {
+            return snapshot === JSON.stringify(current);
+        }
+        return snapshot === current;
+    }
+
+    /**
+     * @lends AMA.IndexedDBStorage
+     */
+    var IndexedDBStorage = function (options) {
+        this.options = options || {};
+        this.options.databaseName = this.options.databaseName || 'AWSMobileAnalytics';
+        this.options.storageKey = this.options.storageKey || 'AWSMobileAnalyticsStorage';
+        this.options.migrateLocalStorage = this.options.migrateLocalStorage !== false;
+        this.type = 'INDEXED_DB';
+        this.id = AMA.Util.GUID();
+        this.logger = this.options.logger || null;
+        this.errorHandler = null;
+        this.cache = {};
+        this.snapshots = {};
+        this.dirtyKeys = {};
+        this.db = null;
+        this.loaded = false;
+        this.readyCallbacks = [];
+        this.flushCallbacks = [];
+        this.flushTimeoutReference = null;
+        this.flushing = false;
+        this.open();
+    };
+
+    IndexedDBStorage.prototype.log = function (level, message) {
+        if (this.logger && this.logger[level]) {
+            this.logger[level](message);
+        }
+    };
+
+    IndexedDBStorage.prototype.getFactory = function () {
+        if (this.options.indexedDB) {
+            return this.options.indexedDB;
+        }
+        try {
+            return window.indexedDB;
+        } catch (supportsIndexedDBError) {
+            return null;
+        }
+    };
+
+    IndexedDBStorage.prototype.open = function () {
+        var self = this, factory = this.getFactory(), request;
+        if (!factory) {
+            this.log('warn', 'IndexedDB is not available, events will only be kept in memory');
+            this.markLoaded();
+            return;
+        }
+        try {
+            request = factory.open(this.options.databaseName, 1);
+        } catch (openError) {
+            this.log('error', 'Error opening IndexedDB: ' + openError);
+            this.markLoaded();
+            return;
+        }
+        request.onupgradeneeded = function () {
+            var db = request.result;
+            if (!db.objectStoreNames.contains(KEYS_STORE)) {
+                db.createObjectStore(KEYS_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+                db.createObjectStore(ENTRIES_STORE, { keyPath: ['key', 'sub'] });
+            }
+        };
+        request.onsuccess = function () {
+            self.db = request.result;
+            self.load();
+        };
+        request.onerror = function () {
+            self.log('error', 'Error opening IndexedDB: ' + request.error);
+            self.markLoaded();
+        };
+    };
+
+    IndexedDBStorage.prototype.load = function () {
+        var self = this, keyRecords = {}, entries = {}, transaction;
+        this.log('log', '[Function:(AMA.IndexedDBStorage).load]');
+        try {
+            transaction = this.db.transaction([KEYS_STORE, ENTRIES_STORE], 'readonly');
+        } catch (transactionError) {
+            this.log('error', 'Error loading IndexedDB: ' + transactionError);
+            this.markLoaded();
+            return;
+        }
+        transaction.objectStore(KEYS_STORE).openCursor().onsuccess = function (event) {
+            var cursor = event.target.result;
+            if (cursor) {
+                keyRecords[cursor.value.key] = cursor.value;
+                cursor.continue();
+            }
+        };
+        //Entries are iterated in [key, sub] order, which keeps array items in insertion order
+        transaction.objectStore(ENTRIES_STORE).openCursor().onsuccess = function (event) {
+            var cursor = event.target.result;
+            if (cursor) {
+                entries[cursor.value.key] = entries[cursor.value.key] || [];
+                entries[cursor.value.key].push(cursor.value);
+                cursor.continue();
+            }
+        };
+        transaction.oncomplete = function () {
+            self.restore(keyRecords, entries);
+            self.migrate();
+            if (self.options.migrateLocalStorage) {
+                self.migrateLocalStorage();
+            }
+            self.markLoaded();
+        };
+        transaction.onerror = function () {
+            self.log('error', 'Error loading IndexedDB: ' + transaction.error);
+            self.markLoaded();
+        };
+    };
+
+    IndexedDBStorage.prototype.restore = function (keyRecords, entries) {
+        var self = this;
+        Object.keys(keyRecords).forEach(function (key) {
+            var record = keyRecords[key], items = entries[key] || [], value, snapshot;
+            if (record.kind === 'array') {
+                value = items.map(function (entry) { return entry.value; });
+                snapshot = {
+                    kind: 'array',
+                    items: value.slice(),
+                    seqs: items.map(function (entry) { return entry.sub; }),
+                    nextSeq: record.nextSeq || 0
+                };
+            } else if (record.kind === 'object') {
+                value = {};
+                items.forEach(function (entry) { value[entry.sub] = entry.value; });
+                snapshot = { kind: 'object', members: snapshotMembers(value) };
+            } else {
+                value = record.value;
+                snapshot = { kind: 'value' };
+            }
+            //Values written before the load completed take precedence, they are diffed against what was loaded
+            if (!self.dirtyKeys[key]) {
+                self.cache[key] = value;
+            }
+            self.snapshots[key] = snapshot;
+        });
+    };
+
+    /**
+     * Runs the schema migrations the loaded cache needs and persists the keys they changed, with the schema version
+     */
+    IndexedDBStorage.prototype.migrate = function () {
+        var self = this, migrated;
+        if (this.cache[AMA.StorageKeys.SCHEMA_VERSION] === AMA.StorageMigrations.CURRENT_VERSION) {
+            return;
+        }
+        //Migrated on a copy: items of stored arrays are immutable, diff only detects the items that were replaced
+        migrated = JSON.parse(JSON.stringify(this.cache));
+        AMA.StorageMigrations.migrate(migrated, this.logger);
+        Object.keys(this.cache).forEach(function (key) {
+            if (migrated[key] === undefined) {
+                self.delete(key);
+            }
+        });
+        Object.keys(migrated).forEach(function (key) {
+            if (JSON.stringify(migrated[key]) !== JSON.stringify(self.cache[key])) {
+                self.set(key, migrated[key]);
+            }
+        });
+    };
+
+    IndexedDBStorage.prototype.migrateLocalStorage = function () {
+        var legacyStorage, legacyCache, self = this;
+        try {
+            if (!window.localStorage) {
+                return;
+            }
+        } catch (supportsLocalStorageError) {
+            return;
+        }
+        //Reads the blob of previous versions as well as split items, salvaging what is not corrupted
+        legacyStorage = new AMA.LocalStorage({ storageKey: this.options.storageKey });
+        legacyCache = {};
+        legacyStorage.each(function (key, value) {
+            if (key !== AMA.StorageKeys.SCHEMA_VERSION) {
+                legacyCache[key] = value;
+            }
+        });
+        if (Object.keys(legacyCache).length === 0) {
+            return;
+        }
+        this.log('log', '[Function:(AMA.IndexedDBStorage).migrateLocalStorage]');
+        AMA.StorageMigrations.migrate(legacyCache, this.logger);
+        Object.keys(legacyCache).forEach(function (key) {
+            if (self.cache[key] === undefined) {
+                self.set(key, legacyCache[key]);
+            }
+        });
+        this.flush(function (err) {
+            if (err) {
+                self.log('error', 'Error importing LocalStorage cache: ' + err);
+                return;
+            }
+            legacyStorage.clear();
+        });
+    };
+
+    IndexedDBStorage.prototype.markLoaded = function () {
+        var callbacks = this.readyCallbacks;
+        this.loaded = true;
+        this.readyCallbacks = [];
+        callbacks.forEach(function (callback) {
+            callback();
+        });
+        if (Object.keys(this.dirtyKeys).length > 0 || this.flushCallbacks.length > 0) {
+            this.flush();
+        }
+    };
+
+    /**
+     * Executes callback once the cache has been loaded from IndexedDB
+     * @param {Function} callback
+     */
+    IndexedDBStorage.prototype.ready = function (callback) {
+        if (this.loaded) {
+            callback();
+        } else {
+            this.readyCallbacks.push(callback);
+        }
+    };
+
+    /**
+     * @returns {boolean} Whether the cache has been loaded from IndexedDB
+     */
+    IndexedDBStorage.prototype.isReady = function () {
+        return this.loaded;
+    };
+
+    IndexedDBStorage.prototype.scheduleFlush = function () {
+        if (this.flushTimeoutReference === null && !this.flushing) {
+            this.flushTimeoutReference = setTimeout(this.flush.bind(this), 0);
+        }
+    };
+
+    /**
+     * Compute the operations needed to persist key, based on the last persisted snapshot
+     * @param {string} key
+     * @returns {{puts: Array, deletes: Array, keyRecord: (Object|null)}}
+     */
+    IndexedDBStorage.prototype.diff = function (key) {
+        var value = this.cache[key], snapshot = this.snapshots[key], kind = kindOf(value),
+            operations = { puts: [], deletes: [], keyRecord: null }, offset, index, overlap, previous;
+
+        function removeAll() {
+            if (!snapshot) {
+                return;
+            }
+            if (snapshot.kind === 'array') {
+                snapshot.seqs.forEach(function (seq) { operations.deletes.push([key, seq]); });
+            } else if (snapshot.kind === 'object') {
+                Object.keys(snapshot.members).forEach(function (name) { operations.deletes.push([key, name]); });
+            }
+        }
+
+        if (value === undefined) {
+            removeAll();
+            delete this.snapshots[key];
+            return operations;
+        }
+        if (!snapshot || snapshot.kind !== kind) {
+            removeAll();
+            snapshot = kind === 'array' ? { kind: kind, items: [], seqs: [], nextSeq: 0 } :
+                    (kind === 'object' ? { kind: kind, members: {} } : { kind: kind });
+        }
+        if (kind === 'array') {
+            previous = snapshot;
+            offset = value.length > 0 ? previous.items.indexOf(value[0]) : previous.items.length;
+            overlap = offset < 0 ? 0 : Math.min(previous.items.length - offset, value.length);
+            for (index = 0; offset >= 0 && index < overlap; index += 1) {
+                if (previous.items[offset + index] !== value[index]) {
+                    offset = -1;
+                }
+            }
+            if (offset < 0) {
+                //Not a queue style change (items dropped from the front / appended to the back), rewrite the key
+                removeAll();
+                snapshot = { kind: kind, items: [], seqs: [], nextSeq: previous.nextSeq };
+                offset = 0;
+                overlap = 0;
+            } else {
+                snapshot.seqs.slice(0, offset).concat(snapshot.seqs.slice(offset + overlap)).forEach(function (seq) {
+                    operations.deletes.push([key, seq]);
+                });
+                snapshot = {
+                    kind: kind,
+                    items: snapshot.items.slice(offset, offset + overlap),
+                    seqs: snapshot.seqs.slice(offset, offset + overlap),
+                    nextSeq: snapshot.nextSeq
+                };
+            }
+            for (index = overlap; index < value.length; index += 1) {
+                operations.puts.push({ key: key, sub: snapshot.nextSeq, value: value[index] });
+                snapshot.items.push(value[index]);
+                snapshot.seqs.push(snapshot.nextSeq);
+                snapshot.nextSeq += 1;
+            }
+            operations.keyRecord = { key: key, kind: kind, nextSeq: snapshot.nextSeq };
+        } else if (kind === 'object') {
+            Object.keys(snapshot.members).forEach(function (name) {
+                if (!value.hasOwnProperty(name)) {
+                    operations.deletes.push([key, name]);
+                }
+            });
+            Object.keys(value).forEach(function (name) {
+                if (!snapshot.members.hasOwnProperty(name) || !sameMember(snapshot.members[name], value[name])) {
+                    operations.puts.push({ key: key, sub: name, value: value[name] });
+                }
+            });
+            snapshot = { kind: kind, members: snapshotMembers(value) };
+            if (!this.snapshots[key] || this.snapshots[key].kind !== kind) {
+                operations.keyRecord = { key: key, kind: kind };
+            }
+        } else {
+            operations.keyRecord = { key: key, kind: kind, value: value };
+        }
+        this.snapshots[key] = snapshot;
+        return operations;
+    };
+
+    /**
+     * Persist every pending change to IndexedDB. A failure (such as an exceeded quota) is also reported to the error
+     * handler, see setErrorHandler
+     * @param {Function} [callback=] - Called with an error (or null) once the changes are committed
+     */
+    IndexedDBStorage.prototype.flush = function (callback) {
+        var self = this, keys, transaction, keysStore, entriesStore, callbacks, previousSnapshots = {}, finished = false;
+        if (callback) {
+            this.flushCallbacks.push(callback);
+        }
+        clearTimeout(this.flushTimeoutReference);
+        this.flushTimeoutReference = null;
+        //Pending changes are flushed again once the current flush (or the initial load) completes
+        if (this.flushing || (this.db && !this.loaded)) {
+            return;
+        }
+        keys = Object.keys(this.dirtyKeys);
+        if (!this.db || keys.length === 0) {
+            callbacks = this.flushCallbacks;
+            this.flushCallbacks = [];
+            callbacks.forEach(function (flushCallback) { flushCallback(null); });
+            return;
+        }
+        this.log('log', '[Function:(AMA.IndexedDBStorage).flush]');
+        callbacks = this.flushCallbacks;
+        this.flushCallbacks = [];
+        this.dirtyKeys = {};
+        this.flushing = true;
+
+        function done(err) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            self.flushing = false;
+            callbacks.forEach(function (flushCallback) { flushCallback(err); });
+            if (err && self.errorHandler) {
+                self.errorHandler({ keys: keys, error: err, full: err.name === 'QuotaExceededError' });
+            }
+            //The keys of a failed flush are written again with the next change rather than in a loop
+            if ((!err && Object.keys(self.dirtyKeys).length > 0) || self.flushCallbacks.length > 0) {
+                self.flush();
+            }
+        }
+
+        try {
+            transaction = this.db.transaction([KEYS_STORE, ENTRIES_STORE], 'readwrite');
+            keysStore = transaction.objectStore(KEYS_STORE);
+            entriesStore = transaction.objectStore(ENTRIES_STORE);
+            keys.forEach(function (key) {
+                var operations;
+                previousSnapshots[key] = self.snapshots[key];
+                operations = self.diff(key);
+                operations.deletes.forEach(function (entryKey) { entriesStore.delete(entryKey); });
+                operations.puts.forEach(function (entry) { entriesStore.put(entry); });
+                if (self.cache[key] === undefined) {
+                    keysStore.delete(key);
+                } else if (operations.keyRecord) {
+                    keysStore.put(operations.keyRecord);
+                }
+            });
+        } catch (writeError) {
+            this.log('error', 'Error saving to IndexedDB: ' + writeError);
+            this.restoreSnapshots(previousSnapshots);
+            done(writeError);
+            return;
+        }
+        transaction.oncomplete = function () {
+            done(null);
+        };
+        transaction.onerror = transaction.onabort = function () {
+            if (finished) {
+                return;
+            }
+            self.log('error', 'Error saving to IndexedDB: ' + transaction.error);
+            self.restoreSnapshots(previousSnapshots);
+            done(transaction.error || new Error('IndexedDB transaction aborted'));
+        };
+    };
+
+    /**
+     * Roll back the snapshots of a failed flush, the keys are written again on the next flush
+     * @param {Object} previousSnapshots - Snapshots by key as they were before the failed flush
+     */
+    IndexedDBStorage.prototype.restoreSnapshots = function (previousSnapshots) {
+        var self = this;
+        Object.keys(previousSnapshots).forEach(function (key) {
+            if (previousSnapshots[key]) {
+                self.snapshots[key] = previousSnapshots[key];
+            } else {
+                delete self.snapshots[key];
+            }
+            self.dirtyKeys[key] = true;
+        });
+    };
+
+    IndexedDBStorage.prototype.get = function (key) {
+        return this.cache[key];
+    };
+
+    IndexedDBStorage.prototype.set = function (key, value) {
+        this.cache[key] = value;
+        this.dirtyKeys[key] = true;
+        this.scheduleFlush();
+    };
+
+    IndexedDBStorage.prototype.delete = function (key) {
+        delete this.cache[key];
+        this.dirtyKeys[key] = true;
+        this.scheduleFlush();
+    };
+
+    IndexedDBStorage.prototype.each = function (callback) {
+        var key;
+        for (key in this.cache) {
+            if (this.cache.hasOwnProperty(key)) {
+                callback(key, this.cache[key]);
+            }
+        }
+    };
+
+    /**
+     * Discard the cache and reload it from IndexedDB
+     * @param {Function} [callback=] - Called once the cache has been reloaded
+     */
+    IndexedDBStorage.prototype.reload = function (callback) {
+        this.cache = {};
+        this.snapshots = {};
+        this.dirtyKeys = {};
+        this.loaded = false;
+        if (callback) {
+            this.readyCallbacks.push(callback);
+        }
+        if (this.db) {
+            this.load();
+        } else {
+            this.markLoaded();
+        }
+    };
+
+    /**
+     * Remove every key from the cache and IndexedDB
+     * @param {Function} [callback=] - Called with an error (or null) once IndexedDB has been cleared
+     */
+    IndexedDBStorage.prototype.clear = function (callback) {
+        var self = this, transaction;
+        this.cache = {};
+        this.snapshots = {};
+        this.dirtyKeys = {};
+        callback = callback || AMA.Util.NOP;
+        if (!this.db) {
+            callback(null);
+            return;
+        }
+        try {
+            transaction = this.db.transaction([KEYS_STORE, ENTRIES_STORE], 'readwrite');
+            transaction.objectStore(KEYS_STORE).clear();
+            transaction.objectStore(ENTRIES_STORE).clear();
+        } catch (clearError) {
+            this.log('error', 'Error clearing IndexedDB: ' + clearError);
+            callback(clearError);
+            return;
+        }
+        transaction.oncomplete = function () {
+            callback(null);
+        };
+        transaction.onerror = function () {
+            self.log('error', 'Error clearing IndexedDB: ' + transaction.error);
+            callback(transaction.error);
+        };
+    };
+
+    IndexedDBStorage.prototype.setLogger = function (logFunction) {
+        this.logger = logFunction;
+    };
+
+    IndexedDBStorage.prototype.setErrorHandler = function (handler) {
+        this.errorHandler = handler;
+    };
+
+    IndexedDBStorage.prototype.toJSON = function () {
+        return { type: this.type, id: this.id, databaseName: this.options.databaseName };
+    };
+
+    return IndexedDBStorage;
+}());
+
+module.exports = AMA.IndexedDBStorage;
\ No newline at end of file
@@ -9,105 +9,555 @@
 
 var AMA = global.AMA;
 AMA.Util = require('../MobileAnalyticsUtilities.js');
+AMA.CryptoProvider = require('./CryptoProvider.js');
+AMA.StorageMigrations = require('./StorageMigrations.js');
 
-AMA.Storage = (function () {
+/**
+ * @typedef AMA.LocalStorage.RecoveryReport
+ * @description What was left of the stored cache when some of its items could not be loaded
+ * @property {Array} recovered - Keys (and key[member] for split objects) loaded successfully
+ * @property {Array} discarded - Keys (and key[member] for split objects) discarded because they were corrupted
+ * @property {Array} skipped - Keys (and key[member] for split objects) of encrypted items that could not be decrypted,
+ *                             they are left in localStorage
+ */
+
+/**
+ * @name AMA.LocalStorage
+ * @namespace AMA.LocalStorage
+ * @constructor
+ * @implements AMA.StorageAdapter.Adapter
+ * @description Storage adapter persisting the cache in window.localStorage. Falls back to an in memory cache when
+ *              localStorage is not available. AMA.Storage is the default instance. Every key is stored as its own
+ *              item, and objects (such as the batches) as one item per member, so a corrupted item only loses itself:
+ *              the rest of the cache is recovered and the loss reported. Other tabs write the same items, so every
+ *              write first picks up their changes and only replaces the written key. When an encryption key or a
+ *              crypto provider is given every item is encrypted, under another default storage key than AMA.Storage.
+ *              Encrypted items that cannot be decrypted (written by an adapter with another key, or by an encrypted
+ *              adapter when this one is not) are skipped but never removed. Decryption is asynchronous in browsers,
+ *              wait for ready() before using an encrypted adapter. Loaded caches are upgraded to the current schema
+ *              by AMA.StorageMigrations, the single blob written by previous versions is split on first load.
+ * @param {Object=} [options=] - A configuration map for the LocalStorage adapter
+ * @param {string=} [options.storageKey=AWSMobileAnalyticsStorage] - Prefix of the localStorage items of the cache,
+ *                                                                   AWSMobileAnalyticsEncryptedStorage when encrypted
+ * @param {string=} [options.encryptionKey=] - Key used to encrypt the items with AES-GCM (WebCrypto in browsers,
+ *                                             crypto in Node.js)
+ * @param {AMA.CryptoProvider.Provider=} [options.cryptoProvider=] - Custom provider encrypting the items
+ * @param {Function=} [options.recoveryCallback=] - Called with an AMA.LocalStorage.RecoveryReport when corrupted items
+ *                                                  were discarded while loading
+ */
+AMA.LocalStorage = (function () {
     'use strict';
-    var storageKey = 'AWSMobileAnalyticsStorage',
-        cache = {},
-        logger;
+    /**
+     * @lends AMA.LocalStorage
+     */
+    var LocalStorage = function (options) {
+        this.options = options || {};
+        this.encrypted = !!(this.options.cryptoProvider || this.options.encryptionKey);
+        //Kept apart from the items of AMA.Storage, which is always loaded first and cannot read encrypted items
+        this.storageKey = this.options.storageKey ||
+            (this.encrypted ? 'AWSMobileAnalyticsEncryptedStorage' : 'AWSMobileAnalyticsStorage');
+        this.keyPrefix = this.storageKey + '.key:';
+        this.memberPrefix = this.storageKey + '.member:';
+        this.revisionKey = this.storageKey + '.revision';
+        this.type = 'LOCAL_STORAGE';
+        this.id = AMA.Util.GUID();
+        this.cache = {};
+        //Serialized (unencrypted) value of every item as last loaded or saved, null for items to remove
+        this.storedItems = {};
+        //Changes on every save, tells whether another tab wrote since the last load or save
+        this.revision = null;
+        this.lastRecovery = null;
+        this.logger = null;
+        this.errorHandler = null;
+        this.crypto = this.options.cryptoProvider ||
+            (this.options.encryptionKey ? AMA.CryptoProvider.create(this.options.encryptionKey) : null);
+        //Keys written since the last successful save, they win over the values reloaded from localStorage
+        this.pendingKeys = {};
+        this.loadId = 0;
+        this.writeId = 0;
+        this.loaded = false;
+        this.readyCallbacks = [];
+        this.loadLocalStorage();
+    };
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    LocalStorage.prototype.log = function (level, message) {
+        if (this.logger && this.logger[level]) {
+            this.logger[level](message);
+        }
+    };
 
-    function supportsLocalStorage() {
+    /**
+     * Reports a failed asynchronous write to the error handler
+     * @param {Array} names - Names of the items that were not written
+     * @param {Error} error
+     * @param {boolean} full - Whether localStorage is full
+     */
+    LocalStorage.prototype.reportWriteError = function (names, error, full) {
+        var self = this, keys = [];
+        names.forEach(function (name) {
+            var key = name;
+            if (name.indexOf(self.keyPrefix) === 0) {
+                key = name.slice(self.keyPrefix.length);
+            } else if (name.indexOf(self.memberPrefix) === 0) {
+                key = JSON.parse(name.slice(self.memberPrefix.length))[0];
+            }
+            if (keys.indexOf(key) === -1) {
+                keys.push(key);
+            }
+        });
+        if (this.errorHandler) {
+            this.errorHandler({ keys: keys, error: error, full: full });
+        }
+    };
+
+    LocalStorage.prototype.supportsLocalStorage = function () {
         try {
             return window && window.localStorage;
         } catch (supportsLocalStorageError) {
             return false;
         }
-    }
+    };
 
-    function clearLocalStorage() {
-        cache = {};
-        if (supportsLocalStorage()) {
+    /**
+     * @returns {Array} Names of the localStorage items of this adapter, including the blob of previous versions
+     */
+    LocalStorage.prototype.itemNames = function () {
+        var names = [], name, i;
+        for (i = 0; i < window.localStorage.length; i += 1) {
+            name = window.localStorage.key(i);
+            if (name === this.storageKey || name.indexOf(this.keyPrefix) === 0 || name.indexOf(this.memberPrefix) === 0) {
+                names.push(name);
+            }
+        }
+        return names;
+    };
+
+    LocalStorage.prototype.memberItemName = function (key, member) {
+        return this.memberPrefix + JSON.stringify([key, member]);
+    };
+
+    /**
+     * Splits a cache into the serialized values of its items
+     * @param {Object} cache
+     * @returns {Object} Map of item names to serialized values
+     */
+    LocalStorage.prototype.serializeItems = function (cache) {
+        var items = {}, self = this;
+        Object.keys(cache).forEach(function (key) {
+            var value = cache[key];
+            if (isPlainObject(value)) {
+                items[self.keyPrefix + key] = JSON.stringify({ split: true });
+                Object.keys(value).forEach(function (member) {
+                    if (value[member] !== undefined) {
+                        items[self.memberItemName(key, member)] = JSON.stringify(value[member]);
+                    }
+                });
+            } else if (value !== undefined) {
+                items[self.keyPrefix + key] = JSON.stringify({ value: value });
+            }
+        });
+        return items;
+    };
+
+    LocalStorage.prototype.clearLocalStorage = function () {
+        this.cache = {};
+        AMA.StorageMigrations.migrate(this.cache, this.logger);
+        this.storedItems = {};
+        this.revision = null;
+        this.pendingKeys = {};
+        this.loadId += 1;
+        if (this.supportsLocalStorage()) {
             try {
-                if (logger) { logger.log('[Function:(AWS.MobileAnalyticsClient.Storage).clearLocalStorage]'); }
-                window.localStorage.removeItem(storageKey);
+                this.log('log', '[Function:(AWS.MobileAnalyticsClient.Storage).clearLocalStorage]');
+                this.itemNames().concat(this.revisionKey).forEach(function (name) {
+                    window.localStorage.removeItem(name);
+                });
             } catch (clearLocalStorageError) {
-                if (logger) { logger.log('Error clearing LocalStorage: ' + JSON.stringify(clearLocalStorageError)); }
+                this.log('log', 'Error clearing LocalStorage: ' + JSON.stringify(clearLocalStorageError));
             }
         } else {
-            if (logger) { logger.log('LocalStorage is not available'); }
+            this.log('log', 'LocalStorage is not available');
         }
-    }
+        this.markLoaded();
+    };
+
+    LocalStorage.prototype.markLoaded = function () {
+        var callbacks = this.readyCallbacks;
+        this.loaded = true;
+        this.readyCallbacks = [];
+        callbacks.forEach(function (callback) {
+            callback();
+        });
+    };
 
-    function loadLocalStorage() {
-        if (supportsLocalStorage()) {
-            var storedCache;
+    /**
+     * Decrypts (when encrypted) and parses a stored item
+     * @param {string} storedValue - The value read from localStorage
+     * @param {Function} callback - Called with an error or the parsed value
+     */
+    LocalStorage.prototype.parseStoredValue = function (storedValue, callback) {
+        var parsed;
+        if (this.encrypted) {
+            if (!this.crypto) {
+                return callback(new Error('No crypto provider available'));
+            }
+            return this.crypto.decrypt(storedValue, function (err, plaintext) {
+                if (err) {
+                    return callback(err);
+                }
+                try {
+                    parsed = JSON.parse(plaintext);
+                } catch (parseJSONError) {
+                    return callback(parseJSONError);
+                }
+                callback(null, parsed, plaintext);
+            });
+        }
+        try {
+            parsed = JSON.parse(storedValue);
+        } catch (parseJSONError) {
+            return callback(parseJSONError);
+        }
+        callback(null, parsed, storedValue);
+    };
+
+    LocalStorage.prototype.loadLocalStorage = function () {
+        var storedItems = {}, revision, names, loadId, remaining, decoded = {}, self = this;
+        if (!this.supportsLocalStorage()) {
+            this.log('log', 'LocalStorage is not available');
+            AMA.StorageMigrations.migrate(this.cache, this.logger);
+            this.markLoaded();
+            return;
+        }
+        try {
+            this.log('log', '[Function:(AWS.MobileAnalyticsClient.Storage).loadLocalStorage]');
+            names = this.itemNames();
+            names.forEach(function (name) {
+                storedItems[name] = window.localStorage.getItem(name);
+            });
+            revision = window.localStorage.getItem(this.revisionKey);
+        } catch (loadLocalStorageError) {
+            this.log('log', 'Error loading LocalStorage: ' + JSON.stringify(loadLocalStorageError));
+            this.clearLocalStorage();
+            return;
+        }
+        this.loaded = false;
+        this.loadId += 1;
+        loadId = this.loadId;
+        remaining = names.length;
+        if (remaining === 0) {
+            this.applyStoredItems(decoded, revision);
+            return;
+        }
+        names.forEach(function (name) {
+            //Try to parse, if corrupt discard the item, if encrypted with another key (or not by this adapter) skip it
+            self.parseStoredValue(storedItems[name], function (err, value, plaintext) {
+                decoded[name] = err ? { error: err, encrypted: AMA.CryptoProvider.isPayload(storedItems[name]) } :
+                    { value: value, plaintext: plaintext };
+                remaining -= 1;
+                if (remaining === 0 && loadId === self.loadId) {
+                    self.applyStoredItems(decoded, revision);
+                }
+            });
+        });
+    };
+
+    /**
+     * Rebuilds the cache from its decoded items, recovering what can be
+     * @param {Object} decoded - Map of item names to {value, plaintext} or {error, encrypted}
+     * @param {string} revision - Revision of the items
+     */
+    LocalStorage.prototype.applyStoredItems = function (decoded, revision) {
+        var self = this, cache = {}, storedItems = {}, recovered = [], discarded = [], skipped = [], migrated,
+            names = Object.keys(decoded), pendingKeys = Object.keys(this.pendingKeys);
+        if (decoded[this.storageKey] && decoded[this.storageKey].encrypted) {
+            skipped.push(this.storageKey);
+        } else if (decoded[this.storageKey]) {
+            //Single blob written by previous versions, split on the next save
+            if (decoded[this.storageKey].error || !isPlainObject(decoded[this.storageKey].value)) {
+                discarded.push(this.storageKey);
+            } else {
+                cache = decoded[this.storageKey].value;
+                recovered = recovered.concat(Object.keys(cache));
+            }
+            storedItems[this.storageKey] = null;
+        }
+        names.filter(function (name) {
+            return name.indexOf(self.keyPrefix) === 0;
+        }).forEach(function (name) {
+            var key = name.slice(self.keyPrefix.length), item = decoded[name];
+            if (item.encrypted) {
+                skipped.push(key);
+                return;
+            }
+            storedItems[name] = item.error ? null : item.plaintext;
+            if (item.error || !isPlainObject(item.value)) {
+                discarded.push(key);
+            } else if (item.value.split) {
+                cache[key] = {};
+            } else {
+                cache[key] = item.value.value;
+                recovered.push(key);
+            }
+        });
+        names.filter(function (name) {
+            return name.indexOf(self.memberPrefix) === 0;
+        }).forEach(function (name) {
+            var item = decoded[name], path;
+            storedItems[name] = null;
             try {
-                if (logger) { logger.log('[Function:(AWS.MobileAnalyticsClient.Storage).loadLocalStorage]'); }
-                storedCache = window.localStorage.getItem(storageKey);
-                if (logger) { logger.log('LocalStorage Cache: ' + storedCache); }
-                if (storedCache) {
-                    //Try to parse, if corrupt delete
-                    try {
-                        cache = JSON.parse(storedCache);
-                    } catch (parseJSONError) {
-                        //Corrupted stored cache, delete it
-                        clearLocalStorage();
-                    }
+                path = JSON.parse(name.slice(self.memberPrefix.length));
+            } catch (parseNameError) {
+                discarded.push(name);
+                return;
+            }
+            if (item.encrypted) {
+                delete storedItems[name];
+                skipped.push(path[0] + '[' + path[1] + ']');
+                return;
+            }
+            if (item.error) {
+                discarded.push(path[0] + '[' + path[1] + ']');
+                return;
+            }
+            if (cache[path[0]] === undefined || discarded.indexOf(path[0]) >= 0) {
+                //The item of the object itself is missing or corrupted, its members are enough to rebuild it
+                cache[path[0]] = {};
+                discarded = discarded.filter(function (key) {
+                    return key !== path[0];
+                });
+            }
+            if (isPlainObject(cache[path[0]])) {
+                cache[path[0]][path[1]] = item.value;
+                storedItems[name] = item.plaintext;
+                recovered.push(path[0] + '[' + path[1] + ']');
+            }
+        });
+        migrated = AMA.StorageMigrations.migrate(cache, this.logger);
+        pendingKeys.forEach(function (key) {
+            if (self.cache.hasOwnProperty(key)) {
+                cache[key] = self.cache[key];
+            } else {
+                delete cache[key];
+            }
+        });
+        this.cache = cache;
+        this.storedItems = storedItems;
+        this.revision = revision;
+        this.lastRecovery = { recovered: recovered, discarded: discarded, skipped: skipped };
+        this.markLoaded();
+        if (skipped.length > 0) {
+            this.log('warn', 'Skipped LocalStorage items that could not be decrypted: ' + skipped.join(', '));
+        }
+        if (discarded.length > 0) {
+            this.log('warn', 'Discarded corrupted LocalStorage items: ' + discarded.join(', '));
+        }
+        if ((discarded.length > 0 || skipped.length > 0) && this.options.recoveryCallback) {
+            this.options.recoveryCallback(this.lastRecovery);
+        }
+        if (pendingKeys.length > 0 || migrated || discarded.length > 0 || storedItems[this.storageKey] === null) {
+            this.saveToLocalStorage();
+        }
+    };
+
+    /**
+     * Writes the changed items, removals first to free space
+     * @param {Object} changes - Map of item names to the values to store, null to remove the item
+     * @param {Object} items - Map of item names to serialized values once the changes are written
+     * @returns {boolean} false when an item could not be written
+     */
+    LocalStorage.prototype.writeItems = function (changes, items) {
+        var self = this, names = Object.keys(changes).sort(function (a, b) {
+            return (changes[a] === null ? 0 : 1) - (changes[b] === null ? 0 : 1);
+        });
+        try {
+            names.forEach(function (name) {
+                if (changes[name] === null) {
+                    window.localStorage.removeItem(name);
+                    delete self.storedItems[name];
+                } else {
+                    window.localStorage.setItem(name, changes[name]);
+                    self.storedItems[name] = items[name];
                 }
-            } catch (loadLocalStorageError) {
-                if (logger) { logger.log('Error loading LocalStorage: ' + JSON.stringify(loadLocalStorageError)); }
-                clearLocalStorage();
+            });
+            this.revision = AMA.Util.GUID();
+            window.localStorage.setItem(this.revisionKey, this.revision);
+        } catch (saveToLocalStorageError) {
+            this.log('log', 'Error saving to LocalStorage: ' + JSON.stringify(saveToLocalStorageError));
+            return false;
+        }
+        this.pendingKeys = {};
+        return true;
+    };
+
+    /**
+     * @returns {boolean} false when the cache could not be written (for example when the quota is exceeded), the
+     *                    failures of an asynchronous encryption and write are reported to the error handler
+     */
+    LocalStorage.prototype.saveToLocalStorage = function () {
+        var items, changes = {}, names, encrypting, remaining, result = true, writeId, returned = false, self = this;
+        if (!this.supportsLocalStorage()) {
+            this.log('log', 'LocalStorage is not available');
+            return true;
+        }
+        if (!this.loaded) {
+            //Saved once the stored items are merged
+            return true;
+        }
+        this.log('log', '[Function:(AWS.MobileAnalyticsClient.Storage).saveToLocalStorage]');
+        items = this.serializeItems(this.cache);
+        Object.keys(this.storedItems).forEach(function (name) {
+            if (!items.hasOwnProperty(name)) {
+                changes[name] = null;
             }
-        } else {
-            if (logger) { logger.log('LocalStorage is not available'); }
+        });
+        Object.keys(items).forEach(function (name) {
+            if (items[name] !== self.storedItems[name]) {
+                changes[name] = items[name];
+            }
+        });
+        names = Object.keys(changes);
+        if (names.length === 0) {
+            this.pendingKeys = {};
+            return true;
         }
-    }
+        if (!this.encrypted) {
+            return this.writeItems(changes, items);
+        }
+        if (!this.crypto) {
+            //Never fall back to writing sensitive data in clear
+            this.log('error', 'No crypto provider available, the cache is not persisted');
+            return true;
+        }
+        this.writeId += 1;
+        writeId = this.writeId;
+        encrypting = names.filter(function (name) {
+            return changes[name] !== null;
+        });
+        if (encrypting.length === 0) {
+            return this.writeItems(changes, items);
+        }
+        remaining = encrypting.length;
+        encrypting.forEach(function (name) {
+            self.crypto.encrypt(changes[name], function (err, ciphertext) {
+                remaining -= 1;
+                if (err) {
+                    self.log('log', 'Error encrypting the LocalStorage cache: ' + err);
+                    result = false;
+                    if (returned && writeId !== -1) {
+                        self.reportWriteError(names, err, false);
+                    }
+                    //Prevents the other items from being written
+                    writeId = -1;
+                }
+                changes[name] = ciphertext;
+                //Asynchronous encryptions may complete out of order, only the latest cache is written. A reload
+                //started in the meantime saves the merged cache itself.
+                if (remaining === 0 && writeId === self.writeId && self.loaded) {
+                    result = self.writeItems(changes, items);
+                    if (!result && returned) {
+                        self.reportWriteError(names, new Error('LocalStorage is full'), true);
+                    }
+                }
+            });
+        });
+        returned = true;
+        return result;
+    };
 
-    function saveToLocalStorage() {
-        if (supportsLocalStorage()) {
-            try {
-                if (logger) { logger.log('[Function:(AWS.MobileAnalyticsClient.Storage).saveToLocalStorage]'); }
-                window.localStorage.setItem(storageKey, JSON.stringify(cache));
-                if (logger) { logger.log('LocalStorage Cache: ' + JSON.stringify(cache)); }
-            } catch (saveToLocalStorageError) {
-                if (logger) { logger.log('Error saving to LocalStorage: ' + JSON.stringify(saveToLocalStorageError)); }
+    /**
+     * Reload the cache when another tab saved since it was last loaded or saved
+     * @returns {boolean} Whether the cache was reloaded, an encrypted cache may be reloaded asynchronously
+     */
+    LocalStorage.prototype.sync = function () {
+        if (!this.supportsLocalStorage() || !this.loaded) {
+            return false;
+        }
+        try {
+            if (window.localStorage.getItem(this.revisionKey) === this.revision) {
+                return false;
             }
+        } catch (syncError) {
+            return false;
+        }
+        this.log('log', '[Function:(AWS.MobileAnalyticsClient.Storage).sync]');
+        this.loadLocalStorage();
+        return this.loaded;
+    };
+
+    /**
+     * @param {Function} callback - Called once the stored cache is loaded (decrypted)
+     */
+    LocalStorage.prototype.ready = function (callback) {
+        if (this.loaded) {
+            callback();
         } else {
-            if (logger) { logger.log('LocalStorage is not available'); }
+            this.readyCallbacks.push(callback);
         }
-    }
+    };
 
-    loadLocalStorage();
-
-    return {
-        type: 'LOCAL_STORAGE',
-        id: AMA.Util.GUID(),
-        get: function (key) {
-            return cache[key];
-        },
-        set: function (key, value) {
-            cache[key] = value;
-            saveToLocalStorage();
-        },
-        delete: function (key) {
-            delete cache[key];
-            saveToLocalStorage();
-        },
-        each: function (callback) {
-            var key;
-            for (key in cache) {
-                if (cache.hasOwnProperty(key)) {
-                    callback(key, cache[key]);
-                }
+    LocalStorage.prototype.isReady = function () {
+        return this.loaded;
+    };
+
+    LocalStorage.prototype.get = function (key) {
+        return this.cache[key];
+    };
+
+    LocalStorage.prototype.set = function (key, value) {
+        this.sync();
+        this.cache[key] = value;
+        this.pendingKeys[key] = true;
+        return this.saveToLocalStorage();
+    };
+
+    LocalStorage.prototype.delete = function (key) {
+        this.sync();
+        delete this.cache[key];
+        this.pendingKeys[key] = true;
+        return this.saveToLocalStorage();
+    };
+
+    LocalStorage.prototype.each = function (callback) {
+        var key;
+        for (key in this.cache) {
+            if (this.cache.hasOwnProperty(key)) {
+                callback(key, this.cache[key]);
             }
-        },
-        reload: loadLocalStorage,
-        setLogger: function (logFunction) {
-            logger = logFunction;
-        },
-        supportsLocalStorage: supportsLocalStorage,
-        clearLocalStorage: clearLocalStorage
+        }
+    };
+
+    LocalStorage.prototype.reload = function () {
+        this.loadLocalStorage();
+    };
+
+    LocalStorage.prototype.clear = function () {
+        this.clearLocalStorage();
+    };
+
+    LocalStorage.prototype.setLogger = function (logFunction) {
+        this.logger = logFunction;
     };
+
+    LocalStorage.prototype.setErrorHandler = function (handler) {
+        this.errorHandler = handler;
+    };
+
+    /**
+     * Keeps the cached values out of the logs when the adapter is passed through options
+     * @returns {Object}
+     */
+    LocalStorage.prototype.toJSON = function () {
+        return { type: this.type, id: this.id, storageKey: this.storageKey };
+    };
+
+    return LocalStorage;
 }());
 
+AMA.Storage = new AMA.LocalStorage();
+
 module.exports = AMA.Storage;
\ No newline at end of file
@@ -0,0 +1,67 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AMA = global.AMA;
+AMA.Util = require('../MobileAnalyticsUtilities.js');
+
+/**
+ * @name AMA.MemoryStorage
+ * @namespace AMA.MemoryStorage
+ * @constructor
+ * @implements AMA.StorageAdapter.Adapter
+ * @description Non persistent storage adapter, useful for tests and for hosts that manage persistence themselves.
+ */
+AMA.MemoryStorage = (function () {
+    'use strict';
+    /**
+     * @lends AMA.MemoryStorage
+     */
+    var MemoryStorage = function () {
+        this.type = 'MEMORY';
+        this.id = AMA.Util.GUID();
+        this.cache = {};
+    };
+
+    MemoryStorage.prototype.get = function (key) {
+        return this.cache[key];
+    };
+
+    MemoryStorage.prototype.set = function (key, value) {
+        this.cache[key] = value;
+    };
+
+    MemoryStorage.prototype.delete = function (key) {
+        delete this.cache[key];
+    };
+
+    MemoryStorage.prototype.each = function (callback) {
+        var key;
+        for (key in this.cache) {
+            if (this.cache.hasOwnProperty(key)) {
+                callback(key, this.cache[key]);
+            }
+        }
+    };
+
+    MemoryStorage.prototype.reload = function () {
+        return undefined;
+    };
+
+    MemoryStorage.prototype.clear = function () {
+        this.cache = {};
+    };
+
+    MemoryStorage.prototype.toJSON = function () {
+        return { type: this.type, id: this.id };
+    };
+
+    return MemoryStorage;
+}());
+
+module.exports = AMA.MemoryStorage;
\ No newline at end of file
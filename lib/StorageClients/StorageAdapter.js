@@ -0,0 +1,89 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AMA = global.AMA;
+
+/**
+ * @typedef AMA.StorageAdapter.Adapter
+ * @description The contract every storage implementation passed as the `storage` option of AMA.Client, AMA.Session
+ *              or AMA.Manager must fulfill. Reads are synchronous, so adapters backed by an asynchronous store are
+ *              expected to serve reads from an in-memory cache.
+ * @property {Function} get - get(key) returns the value stored under key (undefined when missing)
+ * @property {Function} set - set(key, value) stores a JSON serializable value under key, returns false when the value
+ *                            could not be persisted because the underlying store is full
+ * @property {Function} delete - delete(key) removes key
+ * @property {Function} each - each(callback) calls callback(key, value) for every stored key
+ * @property {Function} reload - reload() discards the cache and reloads it from the underlying store
+ * @property {Function} clear - clear() removes every key from the cache and the underlying store
+ * @property {Function} [setLogger=] - setLogger(logger) receives the AMA.Client.Logger of the client using it
+ * @property {Function} [setErrorHandler=] - setErrorHandler(handler) receives the function adapters writing
+ *                                           asynchronously call with an AMA.StorageAdapter.WriteError when a write
+ *                                           fails, since set can not return false for them
+ * @property {Function} [ready=] - ready(callback) calls callback once an asynchronously loaded cache is available
+ * @property {Function} [isReady=] - isReady() returns whether an asynchronously loaded cache is available
+ * @property {AMA.LocalStorage.RecoveryReport} [lastRecovery=] - What was recovered and discarded of a corrupted store
+ *                                                               on the last load
+ * @property {Function} [sync=] - sync() synchronously picks up the writes other tabs made to a shared store, returns
+ *                                whether the cache changed
+ */
+
+/**
+ * @typedef AMA.StorageAdapter.WriteError
+ * @property {Array} keys - The keys that could not be persisted
+ * @property {Error} error - Why they could not be persisted
+ * @property {boolean} full - Whether the underlying store is full, the client then evicts events as it does when set
+ *                            returns false
+ */
+AMA.StorageAdapter = (function () {
+    'use strict';
+    var REQUIRED_METHODS = ['get', 'set', 'delete', 'each', 'reload', 'clear'];
+
+    /**
+     * Lists the contract methods an adapter is missing
+     * @param {AMA.StorageAdapter.Adapter} adapter - The storage adapter to check
+     * @returns {Array} Names of the missing methods (empty when the adapter is valid)
+     */
+    function missingMethods(adapter) {
+        if (!adapter) {
+            return REQUIRED_METHODS.slice();
+        }
+        return REQUIRED_METHODS.filter(function (method) {
+            return typeof adapter[method] !== 'function';
+        });
+    }
+
+    /**
+     * Resolves the adapter to use from a set of options, falling back to the given default when the option is
+     * missing or does not fulfill the contract.
+     * @param {AMA.StorageAdapter.Adapter} [adapter=] - The adapter passed through the options
+     * @param {AMA.StorageAdapter.Adapter} fallback - The adapter to use when none (or an invalid one) was passed
+     * @param {AMA.Client.Logger} [logger=] - Logger used to report invalid adapters
+     * @returns {AMA.StorageAdapter.Adapter}
+     */
+    function resolve(adapter, fallback, logger) {
+        var missing;
+        if (!adapter) {
+            return fallback;
+        }
+        missing = missingMethods(adapter);
+        if (missing.length > 0) {
+            if (logger) { logger.error('Storage adapter is missing required methods (' + missing.join(', ') + ')'); }
+            return fallback;
+        }
+        return adapter;
+    }
+
+    return {
+        REQUIRED_METHODS: REQUIRED_METHODS,
+        missingMethods: missingMethods,
+        resolve: resolve
+    };
+}());
+
+module.exports = AMA.StorageAdapter;
@@ -15,7 +15,8 @@ AMA.StorageKeys = {
     'GLOBAL_METRICS': 'AWSMobileAnalyticsGlobalMetrics',
     'SESSION_ID': 'MobileAnalyticsSessionId',
     'SESSION_EXPIRATION': 'MobileAnalyticsSessionExpiration',
-    'SESSION_START_TIMESTAMP': 'MobileAnalyticsSessionStartTimeStamp'
+    'SESSION_START_TIMESTAMP': 'MobileAnalyticsSessionStartTimeStamp',
+    'SCHEMA_VERSION': 'AWSMobileAnalyticsSchemaVersion'
 };
 
 module.exports = AMA.StorageKeys;
\ No newline at end of file
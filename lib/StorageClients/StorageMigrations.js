@@ -0,0 +1,102 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AMA = global.AMA;
+AMA.StorageKeys = require('./StorageKeys.js');
+
+/**
+ * @name AMA.StorageMigrations
+ * @namespace AMA.StorageMigrations
+ * @description Upgrades persisted caches to the current storage schema. The schema version is stored under
+ *              AMA.StorageKeys.SCHEMA_VERSION, caches without it use the 0.9.0 layout (version 0). Migrations only
+ *              rely on the key names of the layout they upgrade, never on the current ones, so they keep working
+ *              when keys are renamed later on.
+ */
+AMA.StorageMigrations = (function () {
+    'use strict';
+
+    /**
+     * Keys of the queue, either unscoped (0.9.0) or scoped with a storage prefix
+     */
+    function queueKeys(cache, name) {
+        return Object.keys(cache).filter(function (key) {
+            return key === name || key.slice(-(name.length + 1)) === ':' + name;
+        });
+    }
+
+    /**
+     * Ordered list of migrations, the migration at index i upgrades a cache from version i to version i + 1
+     */
+    var MIGRATIONS = [
+        {
+            description: 'Repair the queues left inconsistent by the non atomic writes of 0.9.0',
+            migrate: function (cache) {
+                queueKeys(cache, 'AWSMobileAnalyticsEventStorage').forEach(function (key) {
+                    cache[key] = Array.isArray(cache[key]) ? cache[key].filter(Boolean) : [];
+                });
+                queueKeys(cache, 'AWSMobileAnalyticsBatchIndexStorage').forEach(function (key) {
+                    var prefix = key.slice(0, key.length - 'AWSMobileAnalyticsBatchIndexStorage'.length),
+                        batches = cache[prefix + 'AWSMobileAnalyticsBatchStorage'] || {},
+                        batchIndex = Array.isArray(cache[key]) ? cache[key] : [];
+                    //Batches were stored before being indexed: an unindexed batch still has its events queued
+                    cache[key] = batchIndex.filter(function (batchId, position) {
+                        return Array.isArray(batches[batchId]) && batches[batchId].length > 0 &&
+                            batchIndex.indexOf(batchId) === position;
+                    });
+                    Object.keys(batches).forEach(function (batchId) {
+                        if (cache[key].indexOf(batchId) < 0) {
+                            delete batches[batchId];
+                        }
+                    });
+                    cache[prefix + 'AWSMobileAnalyticsBatchStorage'] = batches;
+                });
+                return cache;
+            }
+        }
+    ];
+
+    var CURRENT_VERSION = MIGRATIONS.length;
+
+    /**
+     * Runs the migrations a cache needs to reach CURRENT_VERSION
+     * @param {Object} cache - The loaded cache, upgraded in place
+     * @param {AMA.Client.Logger} [logger=] - Logger reporting the migrations
+     * @returns {boolean} Whether the cache was modified and needs to be saved
+     */
+    function migrate(cache, logger) {
+        var version = cache[AMA.StorageKeys.SCHEMA_VERSION] || 0, isEmpty = Object.keys(cache).length === 0;
+        if (version === CURRENT_VERSION) {
+            return false;
+        }
+        if (version > CURRENT_VERSION) {
+            if (logger && logger.log) {
+                logger.log('Storage schema version ' + version + ' is newer than ' + CURRENT_VERSION + ', not migrating');
+            }
+            return false;
+        }
+        while (version < CURRENT_VERSION) {
+            if (logger && logger.log) {
+                logger.log('Migrating storage schema to version ' + (version + 1) + ': ' + MIGRATIONS[version].description);
+            }
+            MIGRATIONS[version].migrate(cache);
+            version += 1;
+        }
+        cache[AMA.StorageKeys.SCHEMA_VERSION] = CURRENT_VERSION;
+        //An empty cache is tagged on its first write
+        return !isEmpty;
+    }
+
+    return {
+        MIGRATIONS: MIGRATIONS,
+        CURRENT_VERSION: CURRENT_VERSION,
+        migrate: migrate
+    };
+}());
+
+module.exports = AMA.StorageMigrations;
\ No newline at end of file
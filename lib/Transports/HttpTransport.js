@@ -0,0 +1,147 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var AMA = global.AMA;
+AMA.Util = require('../MobileAnalyticsUtilities.js');
+AMA.Transport = require('./Transport.js');
+
+/**
+ * @name AMA.HttpTransport
+ * @namespace AMA.HttpTransport
+ * @constructor
+ * @implements AMA.Transport.Transport
+ * @description Posts every batch as a JSON document {clientContext: Object, events: Array} to an endpoint of your own,
+ *              for example a proxy submitting the events with server side credentials. 2xx responses are successes,
+ *              network errors, timeouts, 408, 429 and 5xx responses are retried, other responses are fatal. Uses
+ *              XMLHttpRequest in browsers and the http / https modules in Node.js. Throws when the url is missing.
+ * @param {Object} options - A configuration map for the AMA.HttpTransport
+ * @param {string} options.url - The endpoint the batches are posted to
+ * @param {Object=} [options.headers=] - Additional request headers, for example an authorization header
+ * @param {number=} [options.timeout=30000] - Milliseconds after which a request is aborted and retried later
+ */
+AMA.HttpTransport = (function () {
+    'use strict';
+    /**
+     * @lends AMA.HttpTransport
+     */
+    var HttpTransport = function (options) {
+        var error;
+        this.options = options || {};
+        if (typeof this.options.url !== 'string' || this.options.url.length === 0) {
+            error = new Error('AMA.HttpTransport requires the url of the endpoint (options.url)');
+            error.code = 'ConfigError';
+            throw error;
+        }
+        this.options.headers = this.options.headers || {};
+        this.options.timeout = this.options.timeout || 30000;
+    };
+
+    /**
+     * Sends a request with XMLHttpRequest when available, with the http / https modules otherwise
+     * @param {Object} request - method, url, headers, body and timeout of the request
+     * @param {Function} callback - callback(err, statusCode, responseText), err is only set for network errors and
+     *                              timeouts
+     */
+    HttpTransport.request = function (request, callback) {
+        var xhr, parsed, req, done = false;
+        //Node.js may report an error after the response, for example when a timed out request is aborted
+        function finish(err, statusCode, text) {
+            if (!done) {
+                done = true;
+                callback(err, statusCode, text);
+            }
+        }
+        if (typeof XMLHttpRequest !== 'undefined') {
+            xhr = new XMLHttpRequest();
+            xhr.open(request.method, request.url, true);
+            Object.keys(request.headers).forEach(function (header) {
+                xhr.setRequestHeader(header, request.headers[header]);
+            });
+            xhr.timeout = request.timeout;
+            xhr.onload = function () {
+                finish(null, xhr.status, xhr.responseText);
+            };
+            xhr.onerror = function () {
+                finish(new Error('Network error'));
+            };
+            xhr.ontimeout = function () {
+                finish(new Error('Request timed out'));
+            };
+            xhr.send(request.body);
+            return;
+        }
+        parsed = url.parse(request.url);
+        req = (parsed.protocol === 'https:' ? https : http).request({
+            method: request.method,
+            hostname: parsed.hostname,
+            port: parsed.port,
+            path: parsed.path,
+            headers: AMA.Util.mergeObjects({ 'Content-Length': Buffer.byteLength(request.body) }, request.headers)
+        }, function (res) {
+            var text = '';
+            res.setEncoding('utf8');
+            res.on('data', function (chunk) {
+                text += chunk;
+            });
+            res.on('end', function () {
+                finish(null, res.statusCode, text);
+            });
+        });
+        req.setTimeout(request.timeout, function () {
+            req.abort();
+        });
+        req.on('error', function (err) {
+            finish(err);
+        });
+        req.end(request.body);
+    };
+
+    /**
+     * Post a JSON document and classify the response
+     * @param {Object} document - The document to post
+     * @param {Function} callback - Called with the AMA.Transport.Result, data being the parsed response
+     */
+    HttpTransport.prototype.post = function (document, callback) {
+        HttpTransport.request({
+            method: 'POST',
+            url: this.options.url,
+            headers: AMA.Util.copy(this.options.headers, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify(document),
+            timeout: this.options.timeout
+        }, function (err, statusCode, text) {
+            var data = text, status;
+            if (err) {
+                return callback({ status: AMA.Transport.RETRYABLE, error: err });
+            }
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch (parseError) {
+                //Not a JSON response, kept as text
+            }
+            status = AMA.Transport.classifyStatus(statusCode);
+            if (status === AMA.Transport.SUCCESS) {
+                return callback({ status: status, data: data });
+            }
+            err = new Error('Request failed with status ' + statusCode);
+            err.statusCode = statusCode;
+            callback({ status: status, error: err, data: data });
+        });
+    };
+
+    HttpTransport.prototype.send = function (batch, clientContext, callback) {
+        this.post({ clientContext: clientContext, events: batch }, callback);
+    };
+
+    return HttpTransport;
+}());
+
+module.exports = AMA.HttpTransport;
\ No newline at end of file
@@ -0,0 +1,70 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AWS = require('aws-sdk');
+var AMA = global.AMA;
+AMA.Transport = require('./Transport.js');
+
+/**
+ * @name AMA.MobileAnalyticsTransport
+ * @namespace AMA.MobileAnalyticsTransport
+ * @constructor
+ * @implements AMA.Transport.Transport
+ * @description Default transport, submits the batches with the PutEvents API of Amazon Mobile Analytics
+ * @param {Object=} [options=] - A configuration map for the AMA.MobileAnalyticsTransport
+ * @param {string=} [options.apiVersion=2014-06-05] - The version of the Mobile Analytics API to submit to
+ * @param {Object=} [options.provider=AWS.config.credentials] - Credentials to use for submitting events
+ * @param {AWS.MobileAnalytics=} [options.service=] - Mobile Analytics service object to use instead of creating one
+ */
+AMA.MobileAnalyticsTransport = (function () {
+    'use strict';
+    /**
+     * @lends AMA.MobileAnalyticsTransport
+     */
+    var MobileAnalyticsTransport = function (options) {
+        this.options = options || {};
+        this.options.apiVersion = this.options.apiVersion || '2014-06-05';
+        this.options.provider = this.options.provider || AWS.config.credentials;
+        this.service = this.options.service || new AWS.MobileAnalytics({ apiVersion: this.options.apiVersion,
+                                                                         provider: this.options.provider });
+    };
+
+    MobileAnalyticsTransport.NON_RETRYABLE_EXCEPTIONS = ['BadRequestException', 'SerializationException',
+        'ValidationException'];
+
+    /**
+     * Classifies a PutEvents error, client errors other than NON_RETRYABLE_EXCEPTIONS and network errors are retried
+     * @param {Error} err - The error returned by PutEvents
+     * @returns {string} AMA.Transport.RETRYABLE or AMA.Transport.FATAL
+     */
+    MobileAnalyticsTransport.classifyError = function (err) {
+        if ((err.statusCode === undefined || err.statusCode === 400) &&
+                MobileAnalyticsTransport.NON_RETRYABLE_EXCEPTIONS.indexOf(err.code) < 0) {
+            return AMA.Transport.RETRYABLE;
+        }
+        return AMA.Transport.FATAL;
+    };
+
+    MobileAnalyticsTransport.prototype.send = function (batch, clientContext, callback) {
+        this.service.putEvents({
+            'events': batch,
+            'clientContext': JSON.stringify(clientContext)
+        }, function (err, data) {
+            callback({
+                status: err ? MobileAnalyticsTransport.classifyError(err) : AMA.Transport.SUCCESS,
+                error: err,
+                data: data
+            });
+        });
+    };
+
+    return MobileAnalyticsTransport;
+}());
+
+module.exports = AMA.MobileAnalyticsTransport;
\ No newline at end of file
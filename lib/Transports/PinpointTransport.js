@@ -0,0 +1,258 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AWS = require('aws-sdk');
+var AMA = global.AMA;
+AMA.Util = require('../MobileAnalyticsUtilities.js');
+AMA.Transport = require('./Transport.js');
+
+/**
+ * @name AMA.PinpointTransport
+ * @namespace AMA.PinpointTransport
+ * @constructor
+ * @implements AMA.Transport.Transport
+ * @description Submits the batches with the PutEvents API of Amazon Pinpoint. Every batch is sent as the events of a
+ *              single endpoint, identified by the client id, whose demographic is built from the client context. The
+ *              user id of identified events becomes the user of the endpoint. The _session.* and
+ *              _monetization.purchase events keep their type, Pinpoint uses the same names. Batches are split into
+ *              requests within the limit of the service. Events the service failed to process are retried on their
+ *              own, events it rejected are dropped.
+ * @param {Object} options - A configuration map for the AMA.PinpointTransport
+ * @param {string} options.applicationId - The Pinpoint project id the events are submitted to
+ * @param {string=} [options.region=] - The region of the Pinpoint project, defaults to the AWS.config region
+ * @param {Object=} [options.provider=AWS.config.credentials] - Credentials to use for submitting events
+ * @param {string=} [options.endpoint=] - Service endpoint to use instead of the regional one, for example a stand-in
+ * @param {AWS.Pinpoint=} [options.service=] - Pinpoint service object to use instead of creating one
+ */
+AMA.PinpointTransport = (function () {
+    'use strict';
+    /**
+     * @lends AMA.PinpointTransport
+     */
+    var PinpointTransport = function (options) {
+        var serviceOptions;
+        this.options = options || {};
+        this.options.provider = this.options.provider || AWS.config.credentials;
+        serviceOptions = { credentials: this.options.provider };
+        if (this.options.region) {
+            serviceOptions.region = this.options.region;
+        }
+        if (this.options.endpoint) {
+            serviceOptions.endpoint = this.options.endpoint;
+        }
+        this.service = this.options.service || new AWS.Pinpoint(serviceOptions);
+    };
+
+    /**
+     * Maximum number of events of a PutEvents request
+     */
+    PinpointTransport.MAX_EVENTS_PER_REQUEST = 100;
+
+    function compact(object) {
+        Object.keys(object).forEach(function (key) {
+            if (object[key] === undefined || object[key] === null) {
+                delete object[key];
+            }
+        });
+        return object;
+    }
+
+    /**
+     * The user id shared by the events of a batch, see AMA.Client.USER_ID_ATTRIBUTE
+     * @param {Array} batch - Array of AMA.Client.Event
+     * @returns {string} undefined when an event is anonymous or the events belong to several users
+     */
+    function batchUserId(batch) {
+        var userIds = batch.map(function (event) {
+            return (event.attributes || {})._userId;
+        });
+        return userIds.every(function (userId) { return userId === userIds[0]; }) ? userIds[0] : undefined;
+    }
+
+    /**
+     * Builds the Pinpoint endpoint the events of a client context are recorded for
+     * @param {Object} clientContext - The client context of AMA.Client
+     * @param {string} [userId=] - The user the events are recorded for
+     * @returns {Object} The PublicEndpoint
+     */
+    PinpointTransport.toEndpoint = function (clientContext, userId) {
+        var client = clientContext.client || {}, env = clientContext.env || {}, custom = clientContext.custom || {},
+            attributes = {};
+        Object.keys(custom).forEach(function (name) {
+            //Endpoint attributes are lists of strings
+            attributes[name] = [].concat(custom[name]).map(String);
+        });
+        return compact({
+            Demographic: compact({
+                AppVersion: client.app_version_name,
+                Locale: env.locale,
+                Make: env.make,
+                Model: env.model,
+                Platform: env.platform,
+                PlatformVersion: env.platform_version
+            }),
+            Attributes: Object.keys(attributes).length > 0 ? attributes : undefined,
+            User: userId ? { UserId: userId } : undefined
+        });
+    };
+
+    /**
+     * Converts an event built by AMA.Client.createEvent to a Pinpoint event
+     * @param {AMA.Client.Event} event - The event to convert
+     * @param {Object} clientContext - The client context of AMA.Client
+     * @returns {Object} The Pinpoint Event
+     */
+    PinpointTransport.toEvent = function (event, clientContext) {
+        var client = clientContext.client || {},
+            sdk = (clientContext.services && clientContext.services.mobile_analytics) || {},
+            session = event.session || {};
+        return compact({
+            EventType: event.eventType,
+            Timestamp: event.timestamp,
+            Attributes: event.attributes || {},
+            Metrics: event.metrics || {},
+            Session: session.id ? compact({
+                Id: session.id,
+                StartTimestamp: session.startTimestamp,
+                StopTimestamp: session.stopTimestamp,
+                Duration: session.stopTimestamp ?
+                        new Date(session.stopTimestamp).getTime() - new Date(session.startTimestamp).getTime() :
+                        undefined
+            }) : undefined,
+            AppPackageName: client.app_package_name,
+            AppTitle: client.app_title,
+            AppVersionCode: client.app_version_code,
+            SdkName: sdk.sdk_name,
+            ClientSdkVersion: sdk.sdk_version
+        });
+    };
+
+    /**
+     * Builds the PutEvents request of a batch of at most MAX_EVENTS_PER_REQUEST events
+     * @param {Array} batch - Array of AMA.Client.Event
+     * @param {Object} clientContext - The client context of AMA.Client
+     * @returns {Object} The request, the events and their ids, in the order of the batch
+     */
+    PinpointTransport.prototype.toRequest = function (batch, clientContext) {
+        var events = {}, eventIds = [], batchItem = {}, endpointId = (clientContext.client || {}).client_id;
+        batch.forEach(function (event) {
+            var eventId = AMA.Util.GUID();
+            eventIds.push(eventId);
+            events[eventId] = PinpointTransport.toEvent(event, clientContext);
+        });
+        batchItem[endpointId] = {
+            Endpoint: PinpointTransport.toEndpoint(clientContext, batchUserId(batch)),
+            Events: events
+        };
+        return {
+            endpointId: endpointId,
+            events: batch,
+            eventIds: eventIds,
+            request: {
+                ApplicationId: this.options.applicationId,
+                EventsRequest: { BatchItem: batchItem }
+            }
+        };
+    };
+
+    /**
+     * Classifies the results of the events of a request, only the events that can be retried are returned as the
+     * retryEvents of a retryable result
+     * @param {Object} sent - The request built by toRequest
+     * @param {Object} data - The PutEvents response
+     * @returns {AMA.Transport.Result}
+     */
+    PinpointTransport.prototype.toResult = function (sent, data) {
+        var results = (data && data.EventsResponse && data.EventsResponse.Results) || {},
+            eventResults = (results[sent.endpointId] && results[sent.endpointId].EventsItemResponse) || {},
+            statuses = sent.eventIds.map(function (eventId) {
+                var eventResult = eventResults[eventId];
+                //Events missing from the response were not processed
+                return eventResult ? AMA.Transport.classifyStatus(eventResult.StatusCode) : AMA.Transport.RETRYABLE;
+            }),
+            failures = sent.eventIds.filter(function (eventId, index) {
+                return statuses[index] !== AMA.Transport.SUCCESS;
+            }),
+            retryEvents = sent.events.filter(function (event, index) {
+                return statuses[index] === AMA.Transport.RETRYABLE;
+            }),
+            error;
+        if (failures.length === 0) {
+            return { status: AMA.Transport.SUCCESS, data: data };
+        }
+        error = new Error(failures.length + ' of ' + sent.eventIds.length + ' events failed: ' +
+            (eventResults[failures[0]] ? eventResults[failures[0]].Message : 'missing from the response'));
+        if (retryEvents.length === 0) {
+            return { status: AMA.Transport.FATAL, error: error, data: data };
+        }
+        return { status: AMA.Transport.RETRYABLE, error: error, data: data, retryEvents: retryEvents };
+    };
+
+    /**
+     * Sends a request built by toRequest
+     * @param {Object} sent - The request built by toRequest
+     * @param {Function} callback - Called with the AMA.Transport.Result of the request
+     */
+    PinpointTransport.prototype.putEvents = function (sent, callback) {
+        var self = this;
+        this.service.putEvents(sent.request, function (err, data) {
+            var status;
+            if (err) {
+                status = err.retryable ? AMA.Transport.RETRYABLE : AMA.Transport.classifyStatus(err.statusCode);
+                return callback({
+                    status: status,
+                    error: err,
+                    data: data,
+                    retryEvents: status === AMA.Transport.RETRYABLE ? sent.events : undefined
+                });
+            }
+            callback(self.toResult(sent, data));
+        });
+    };
+
+    PinpointTransport.prototype.send = function (batch, clientContext, callback) {
+        var self = this, requests = [], retryEvents = [], lastError = null, fatalError = null, data = null, i;
+        for (i = 0; i < batch.length; i += PinpointTransport.MAX_EVENTS_PER_REQUEST) {
+            requests.push(this.toRequest(batch.slice(i, i + PinpointTransport.MAX_EVENTS_PER_REQUEST), clientContext));
+        }
+        function next(index) {
+            if (index === requests.length) {
+                if (retryEvents.length > 0) {
+                    return callback({
+                        status: AMA.Transport.RETRYABLE,
+                        error: lastError || fatalError,
+                        data: data,
+                        //The whole batch is retried when none of its events was delivered
+                        retryEvents: retryEvents.length < batch.length ? retryEvents : undefined
+                    });
+                }
+                if (fatalError) {
+                    return callback({ status: AMA.Transport.FATAL, error: fatalError, data: data });
+                }
+                return callback({ status: AMA.Transport.SUCCESS, data: data });
+            }
+            self.putEvents(requests[index], function (result) {
+                data = result.data;
+                if (result.status === AMA.Transport.RETRYABLE) {
+                    lastError = result.error;
+                    retryEvents = retryEvents.concat(result.retryEvents);
+                } else if (result.status === AMA.Transport.FATAL) {
+                    //Only the rejected events are dropped, the other requests are still sent
+                    fatalError = result.error;
+                }
+                next(index + 1);
+            });
+        }
+        next(0);
+    };
+
+    return PinpointTransport;
+}());
+
+module.exports = AMA.PinpointTransport;
\ No newline at end of file
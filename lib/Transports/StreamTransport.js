@@ -0,0 +1,191 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AWS = require('aws-sdk');
+var AMA = global.AMA;
+AMA.Util = require('../MobileAnalyticsUtilities.js');
+AMA.Transport = require('./Transport.js');
+
+/**
+ * @name AMA.StreamTransport
+ * @namespace AMA.StreamTransport
+ * @constructor
+ * @implements AMA.Transport.Transport
+ * @description Exports the raw events to a Kinesis Data Firehose delivery stream (PutRecordBatch) or a Kinesis stream
+ *              (PutRecords). Every event is written as a line of newline-delimited JSON, with the client context
+ *              under its clientContext key. Lines are packed into records and records into requests within the limits
+ *              of the service. Records the service failed to write are retried with their events only, the events of
+ *              a request the service rejected are dropped.
+ * @param {Object} options - A configuration map for the AMA.StreamTransport
+ * @param {string=} [options.deliveryStreamName=] - The Firehose delivery stream to write to
+ * @param {string=} [options.streamName=] - The Kinesis stream to write to, when no deliveryStreamName is set
+ * @param {string=} [options.partitionKey=client id] - Partition key of the Kinesis records, the client id keeps the
+ *                                                     events of a client ordered in a single shard
+ * @param {string=} [options.region=] - The region of the stream, defaults to the AWS.config region
+ * @param {Object=} [options.provider=AWS.config.credentials] - Credentials to use for writing records
+ * @param {string=} [options.endpoint=] - Service endpoint to use instead of the regional one, for example a stand-in
+ * @param {AWS.Firehose|AWS.Kinesis=} [options.service=] - Service object to use instead of creating one
+ */
+AMA.StreamTransport = (function () {
+    'use strict';
+    /**
+     * @lends AMA.StreamTransport
+     */
+    var StreamTransport = function (options) {
+        var serviceOptions;
+        this.options = options || {};
+        this.options.provider = this.options.provider || AWS.config.credentials;
+        this.firehose = !!this.options.deliveryStreamName;
+        this.limits = this.firehose ? StreamTransport.FIREHOSE_LIMITS : StreamTransport.KINESIS_LIMITS;
+        serviceOptions = { credentials: this.options.provider };
+        if (this.options.region) {
+            serviceOptions.region = this.options.region;
+        }
+        if (this.options.endpoint) {
+            serviceOptions.endpoint = this.options.endpoint;
+        }
+        this.service = this.options.service ||
+            (this.firehose ? new AWS.Firehose(serviceOptions) : new AWS.Kinesis(serviceOptions));
+    };
+
+    /**
+     * Limits of PutRecordBatch, in bytes of data
+     */
+    StreamTransport.FIREHOSE_LIMITS = {
+        recordBytes: 1000 * 1024,
+        requestRecords: 500,
+        requestBytes: 4 * 1024 * 1024
+    };
+
+    /**
+     * Limits of PutRecords, in bytes of data and partition key (at most 256 bytes)
+     */
+    StreamTransport.KINESIS_LIMITS = {
+        recordBytes: 1024 * 1024 - 256,
+        requestRecords: 500,
+        requestBytes: 5 * 1024 * 1024 - 500 * 256
+    };
+
+    /**
+     * Packs the events of a batch into requests of records
+     * @param {Array} batch - Array of AMA.Client.Event
+     * @param {Object} clientContext - The client context of AMA.Client
+     * @returns {Array} The requests, arrays of records {data: string, events: Array}
+     */
+    StreamTransport.prototype.toRequests = function (batch, clientContext) {
+        var limits = this.limits, requests = [], request = [], requestBytes = 0, record = null;
+        function closeRecord() {
+            if (!record) {
+                return;
+            }
+            if (request.length === limits.requestRecords || requestBytes + record.bytes > limits.requestBytes) {
+                requests.push(request);
+                request = [];
+                requestBytes = 0;
+            }
+            request.push({ data: record.data, events: record.events });
+            requestBytes += record.bytes;
+            record = null;
+        }
+        batch.forEach(function (event) {
+            //Events are far below the record limit, validateEvent bounds their attributes and metrics
+            var line = JSON.stringify(AMA.Util.copy(event, { clientContext: clientContext })) + '\n',
+                bytes = AMA.Util.getRequestBodySize(line);
+            if (record && record.bytes + bytes > limits.recordBytes) {
+                closeRecord();
+            }
+            record = record || { data: '', events: [], bytes: 0 };
+            record.data += line;
+            record.events.push(event);
+            record.bytes += bytes;
+        });
+        closeRecord();
+        if (request.length > 0) {
+            requests.push(request);
+        }
+        return requests;
+    };
+
+    /**
+     * Writes the records of a request
+     * @param {Array} records - The records of the request
+     * @param {Object} clientContext - The client context of AMA.Client
+     * @param {Function} callback - callback(err, failedEvents) with the events of the records the service failed to
+     *                              write
+     */
+    StreamTransport.prototype.putRecords = function (records, clientContext, callback) {
+        var partitionKey = this.options.partitionKey || (clientContext.client || {}).client_id || AMA.Util.GUID();
+        function failedEvents(results) {
+            return (results || []).reduce(function (events, result, index) {
+                return result.ErrorCode ? events.concat(records[index].events) : events;
+            }, []);
+        }
+        if (this.firehose) {
+            this.service.putRecordBatch({
+                DeliveryStreamName: this.options.deliveryStreamName,
+                Records: records.map(function (record) {
+                    return { Data: record.data };
+                })
+            }, function (err, data) {
+                callback(err, err ? null : failedEvents(data.RequestResponses));
+            });
+            return;
+        }
+        this.service.putRecords({
+            StreamName: this.options.streamName,
+            Records: records.map(function (record) {
+                return { Data: record.data, PartitionKey: partitionKey };
+            })
+        }, function (err, data) {
+            callback(err, err ? null : failedEvents(data.Records));
+        });
+    };
+
+    StreamTransport.prototype.send = function (batch, clientContext, callback) {
+        var self = this, requests = this.toRequests(batch, clientContext), retryEvents = [], lastError = null,
+            fatalError = null;
+        function next(index) {
+            if (index === requests.length) {
+                if (retryEvents.length > 0) {
+                    return callback({
+                        status: AMA.Transport.RETRYABLE,
+                        error: lastError || fatalError,
+                        retryEvents: retryEvents
+                    });
+                }
+                if (fatalError) {
+                    return callback({ status: AMA.Transport.FATAL, error: fatalError });
+                }
+                return callback({ status: AMA.Transport.SUCCESS });
+            }
+            self.putRecords(requests[index], clientContext, function (err, failed) {
+                if (err && !err.retryable && AMA.Transport.classifyStatus(err.statusCode) === AMA.Transport.FATAL) {
+                    //Only the events of the rejected request are dropped, the other requests are still written
+                    fatalError = err;
+                    return next(index + 1);
+                }
+                if (err) {
+                    lastError = err;
+                    failed = requests[index].reduce(function (events, record) {
+                        return events.concat(record.events);
+                    }, []);
+                } else if (failed.length > 0) {
+                    lastError = new Error(failed.length + ' events were not written');
+                }
+                retryEvents = retryEvents.concat(failed);
+                next(index + 1);
+            });
+        }
+        next(0);
+    };
+
+    return StreamTransport;
+}());
+
+module.exports = AMA.StreamTransport;
\ No newline at end of file
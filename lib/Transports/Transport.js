@@ -0,0 +1,88 @@
+/*
+  Copyright 2014-2015 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+  Licensed under the Apache License, Version 2.0 (the "License"). You may not use this file except in compliance with
+  the License. A copy of the License is located at http://aws.amazon.com/apache2.0/
+  or in the "license" file accompanying this file. This file is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+  CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions
+  and limitations under the License.
+*/
+
+var AMA = global.AMA;
+
+/**
+ * @typedef AMA.Transport.Transport
+ * @description The contract every transport passed as the `transport` option of AMA.Client or AMA.Manager must
+ *              fulfill. A transport delivers a batch of events to a backend and classifies the outcome, the client
+ *              takes care of the queue, the retries and the callbacks.
+ * @property {Function} send - send(batch, clientContext, callback) delivers the array of AMA.Client.Event with the
+ *                             client context object, then calls callback(AMA.Transport.Result)
+ */
+
+/**
+ * @typedef AMA.Transport.Result
+ * @property {string} status - AMA.Transport.SUCCESS when the batch was delivered, AMA.Transport.RETRYABLE when it
+ *                             should be submitted again later, AMA.Transport.FATAL when it was permanently rejected
+ * @property {Error} [error=] - The error of a failed delivery
+ * @property {*} [data=] - The response of the backend
+ * @property {Array} [retryEvents=] - With a retryable status, the events of the batch still to be delivered when the
+ *                                    backend accepted the others, the whole batch is retried when missing
+ */
+
+/**
+ * @name AMA.Transport
+ * @namespace AMA.Transport
+ * @description Statuses and validation of the transports
+ */
+AMA.Transport = (function () {
+    'use strict';
+    var SUCCESS = 'success',
+        RETRYABLE = 'retryable',
+        FATAL = 'fatal',
+        REQUIRED_METHODS = ['send'];
+
+    /**
+     * Resolves the transport to use from a set of options, falling back to the given default when the option is
+     * missing or does not fulfill the contract.
+     * @param {AMA.Transport.Transport} [transport=] - The transport passed through the options
+     * @param {Function} fallback - Creates the transport to use when none (or an invalid one) was passed
+     * @param {AMA.Client.Logger} [logger=] - Logger used to report invalid transports
+     * @returns {AMA.Transport.Transport}
+     */
+    function resolve(transport, fallback, logger) {
+        if (!transport) {
+            return fallback();
+        }
+        if (typeof transport.send !== 'function') {
+            if (logger) { logger.error('Transport is missing required methods (send)'); }
+            return fallback();
+        }
+        return transport;
+    }
+
+    /**
+     * Classifies the HTTP status of a response: 2xx responses are successes, timeouts, throttling, server errors and
+     * missing responses (network errors) are retried, other responses are fatal
+     * @param {number} [statusCode=] - The status of the response
+     * @returns {string} AMA.Transport.SUCCESS, AMA.Transport.RETRYABLE or AMA.Transport.FATAL
+     */
+    function classifyStatus(statusCode) {
+        if (statusCode >= 200 && statusCode < 300) {
+            return SUCCESS;
+        }
+        if (statusCode === undefined || statusCode === 408 || statusCode === 429 || statusCode >= 500) {
+            return RETRYABLE;
+        }
+        return FATAL;
+    }
+
+    return {
+        SUCCESS: SUCCESS,
+        RETRYABLE: RETRYABLE,
+        FATAL: FATAL,
+        REQUIRED_METHODS: REQUIRED_METHODS,
+        classifyStatus: classifyStatus,
+        resolve: resolve
+    };
+}());
+
+module.exports = AMA.Transport;
\ No newline at end of file
@@ -18,7 +18,20 @@ global.AMA = global.AMA || {};
 require('./MobileAnalyticsClient.js');
 require('./MobileAnalyticsUtilities.js');
 require('./StorageClients/StorageKeys.js');
+require('./StorageClients/StorageAdapter.js');
+require('./StorageClients/StorageMigrations.js');
+require('./StorageClients/CryptoProvider.js');
 require('./StorageClients/LocalStorage.js');
+require('./StorageClients/MemoryStorage.js');
+require('./StorageClients/IndexedDBStorage.js');
+require('./StorageClients/FileStorage.js');
+require('./MobileAnalyticsTabCoordinator.js');
+require('./MobileAnalyticsEventEmitter.js');
+require('./Transports/Transport.js');
+require('./Transports/MobileAnalyticsTransport.js');
+require('./Transports/HttpTransport.js');
+require('./Transports/PinpointTransport.js');
+require('./Transports/StreamTransport.js');
 require('./MobileAnalyticsSession.js');
 require('./MobileAnalyticsSessionManager.js');
 module.exports = global.AMA;
\ No newline at end of file